@@ -0,0 +1,127 @@
+// api.js
+// REST endpoints, mounted under /api by index.js. Errors use the same
+// { code, message } shape and ERROR_CODES as the socket events.
+//
+// Rooms are reached through the `rooms` object index.js passes in, so this
+// file never sees sockets or private game state. Everything it returns is
+// what a spectator could see: the public state, the lobby and past results.
+// Hands, session keys and seat claims never leave the server.
+
+const express = require('express');
+const profiles = require('./profiles');
+const players = require('./players');
+const lobbies = require('./lobby');
+const validation = require('./validation');
+
+const { ERROR_CODES } = validation;
+
+function sendError(res, status, code, message) {
+    res.status(status).json({ code, message });
+}
+
+/**
+ * Closing rooms needs `Authorization: Bearer <API_ADMIN_KEY>`; without
+ * API_ADMIN_KEY set nobody may close rooms over HTTP.
+ */
+function requireAdmin(req, res, next) {
+    const key = process.env.API_ADMIN_KEY;
+    if (!key) return sendError(res, 403, ERROR_CODES.FORBIDDEN, 'Set API_ADMIN_KEY to allow this');
+    if (req.get('authorization') !== `Bearer ${key}`) {
+        return sendError(res, 403, ERROR_CODES.FORBIDDEN, 'Missing or wrong admin key');
+    }
+    next();
+}
+
+/**
+ * `rooms` provides list() → summaries of the rooms on this server,
+ * find(roomId) → stored room or null, summarize(roomId, room),
+ * connectedNames(roomId), create({ roomId, rules }) → roomId or null if
+ * taken, and close(roomId) → false if there was no such room.
+ */
+function createApiRouter({ store, rooms }) {
+    const router = express.Router();
+    router.use(express.json());
+
+    // look the room up once for every /rooms/:roomId route
+    async function loadRoom(req, res, next) {
+        req.room = await rooms.find(req.params.roomId);
+        if (!req.room) return sendError(res, 404, ERROR_CODES.UNKNOWN_ROOM, `No room ${req.params.roomId}`);
+        next();
+    }
+
+    // GET /api/rooms → every active room with its stage and head counts
+    router.get('/rooms', (req, res) => {
+        res.json(rooms.list());
+    });
+
+    // POST /api/rooms { roomId?, rules? } → the new room
+    router.post('/rooms', async (req, res) => {
+        const input = validation.validatePayload('createRoom', req.body);
+        if (!input.ok) return sendError(res, 400, input.code, input.message);
+
+        const roomId = await rooms.create(input.value);
+        if (!roomId) return sendError(res, 409, ERROR_CODES.ROOM_EXISTS, `Room ${input.value.roomId} already exists`);
+        res.status(201).json(rooms.summarize(roomId, await rooms.find(roomId)));
+    });
+
+    // GET /api/rooms/:roomId → summary plus the lobby and rules
+    router.get('/rooms/:roomId', loadRoom, (req, res) => {
+        const { roomId } = req.params;
+        res.json({
+            ...rooms.summarize(roomId, req.room),
+            rules: req.room.lobby.rules,
+            lobby: lobbies.lobbyView(req.room.lobby, rooms.connectedNames(roomId)),
+        });
+    });
+
+    // GET /api/rooms/:roomId/state → public state of the current game
+    router.get('/rooms/:roomId/state', loadRoom, (req, res) => {
+        const gs = req.room.gameState;
+        if (!gs) return sendError(res, 404, ERROR_CODES.NO_GAME, 'No game has been started in this room');
+        res.json({ roomId: req.params.roomId, stateVersion: req.room.stateVersion || 0, public: gs.public });
+    });
+
+    // GET /api/rooms/:roomId/results → every finished game in the room
+    router.get('/rooms/:roomId/results', loadRoom, (req, res) => {
+        res.json({ roomId: req.params.roomId, gameResults: req.room.gameResults || [] });
+    });
+
+    // DELETE /api/rooms/:roomId → close the room and send everyone away
+    router.delete('/rooms/:roomId', requireAdmin, async (req, res) => {
+        const { roomId } = req.params;
+        if (!await rooms.close(roomId)) return sendError(res, 404, ERROR_CODES.UNKNOWN_ROOM, `No room ${roomId}`);
+        res.status(204).end();
+    });
+
+    // GET /api/profiles/:name → the player's statistics across all rooms
+    router.get('/profiles/:name', async (req, res) => {
+        const { name } = req.params;
+        const stored = await store.getProfile(name);
+        if (!stored) {
+            return sendError(res, 404, ERROR_CODES.UNKNOWN_PLAYER, `No profile for ${name}`);
+        }
+        res.json(profiles.profileView(name, stored));
+    });
+
+    // GET /api/players/:id → a registered player's rating and statistics
+    router.get('/players/:id', async (req, res) => {
+        const { id } = req.params;
+        const stored = await store.getPlayer(id);
+        if (!stored) {
+            return sendError(res, 404, ERROR_CODES.UNKNOWN_PLAYER, `No player ${id}`);
+        }
+        res.json({ ...profiles.profileView(stored.name, stored), ...players.publicPlayer(id, stored) });
+    });
+
+    // malformed JSON bodies get the usual error shape
+    router.use((err, req, res, next) => {
+        if (err.type === 'entity.parse.failed') {
+            return sendError(res, 400, ERROR_CODES.INVALID_PAYLOAD, 'Body is not valid JSON');
+        }
+        next(err);
+    });
+
+    return router;
+}
+
+module.exports = { createApiRouter };
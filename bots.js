@@ -0,0 +1,249 @@
+// bots.js
+// Computer players. A bot only looks at its own hand and the public state,
+// and answers with the socket event and payload a human client would send
+// ({ event, data }), so index.js applies bot moves through the same path.
+//
+// - easy: follows the rules and nothing more.
+// - hard: bids from an estimate of its hand strength and plays tricks
+//   knowing which cards are already gone.
+
+const game = require('./game');
+const { SUITS } = require('./deck');
+const { partnerCount } = require('./rules');
+const { BOT_DIFFICULTIES: DIFFICULTIES } = require('./validation');
+
+function sameCard(a, b) {
+    return a.suit === b.suit && a.number === b.number;
+}
+
+function handOf(gameState, name) {
+    return gameState.playerGameStates[name].hand;
+}
+
+/** Suit with the most cards, ties broken by the total power held in it. */
+function longestSuit(cards) {
+    let best = SUITS[0];
+    let bestScore = -1;
+    for (const suit of SUITS) {
+        const inSuit = cards.filter(c => c.suit === suit);
+        const score = inSuit.length * 100 + inSuit.reduce((sum, c) => sum + c.power, 0);
+        if (score > bestScore) {
+            best = suit;
+            bestScore = score;
+        }
+    }
+    return best;
+}
+
+/** Cards in this game's deck that `name` does not hold, best partner calls first. */
+function partnerCandidates(gameState, name, preferSuit) {
+    const own = handOf(gameState, name);
+    return gameState.public.defaultDeck
+        .filter(c => !own.some(h => sameCard(h, c)))
+        .sort((a, b) => (b.suit === preferSuit) - (a.suit === preferSuit) || b.power - a.power);
+}
+
+/** Weakest card first: fewest points, then lowest power. */
+function byCheapest(a, b) {
+    return a.value - b.value || a.power - b.power;
+}
+
+/** The trick being played, or [] when the next card starts a new one. */
+function currentTrick(pub) {
+    return pub.round.length < pub.playerCount ? pub.round : [];
+}
+
+// ─── Easy ─────────────────────────────────────────────────────────────────
+
+const easy = {
+    // open the auction once with a handful of counters, otherwise pass
+    bid(gameState, name) {
+        const pub = gameState.public;
+        const counters = handOf(gameState, name).filter(c => c.value >= 10).length;
+        if (pub.highestBidder === null && counters >= 4) return pub.highestBid + pub.rules.bidStep;
+        return 0;
+    },
+
+    double() {
+        return 'pass';
+    },
+
+    powerSuit(gameState, name) {
+        return longestSuit(handOf(gameState, name));
+    },
+
+    partners(gameState, name) {
+        const count = partnerCount(gameState.public.rules, gameState.public.playerCount);
+        return partnerCandidates(gameState, name, null).slice(0, count);
+    },
+
+    play(gameState, name) {
+        return [...game.getLegalCards(gameState, name)].sort((a, b) => a.power - b.power || a.value - b.value)[0];
+    },
+};
+
+// ─── Hard ─────────────────────────────────────────────────────────────────
+
+/**
+ * Highest bid the hand is worth: likely trick winners times the average
+ * trick value, plus an average share for every partner the bidder calls.
+ */
+function estimateBidLimit(gameState, name) {
+    const pub = gameState.public;
+    const cards = handOf(gameState, name);
+    const trump = longestSuit(cards);
+
+    let winners = 0;
+    for (const card of cards) {
+        const suitLength = cards.filter(c => c.suit === card.suit).length;
+        if (card.power === 14) winners += 1;
+        else if (card.power === 13 && suitLength >= 2) winners += 0.6;
+        else if (card.suit === trump && card.power >= 11) winners += 0.5;
+    }
+    winners += Math.max(0, cards.filter(c => c.suit === trump).length - 3) * 0.5;
+
+    const perTrick = pub.totalPoints / cards.length;
+    const perPlayer = pub.totalPoints / pub.playerCount;
+    const helpers = pub.teams ? pub.playerCount / 2 - 1 : partnerCount(pub.rules, pub.playerCount);
+    const estimate = winners * perTrick + helpers * perPlayer;
+    const step = pub.rules.bidStep;
+    return Math.floor(estimate / step) * step;
+}
+
+/** Every card already played this hand. */
+function playedCards(pub) {
+    const played = pub.tricks.flatMap(t => t.cards.map(c => c.card));
+    return played.concat(currentTrick(pub).map(entry => entry.card));
+}
+
+/** Players `name` knows to be on their own team from what has been played. */
+function knownTeammates(gameState, name) {
+    const pub = gameState.public;
+    if (pub.teams) {
+        const team = pub.teams.find(t => t.players.includes(name));
+        return new Set(team.players.filter(p => p !== name));
+    }
+    const own = handOf(gameState, name);
+    const revealed = new Set(pub.revealedPartners.map(r => r.playerName));
+
+    const onBiddingTeam = pub.highestBidder === name || pub.partners.some(p => own.some(h => sameCard(h, p)));
+    const team = onBiddingTeam
+        ? [pub.highestBidder, ...revealed]
+        // defenders only know each other once every called card is out
+        : (pub.revealedPartners.length >= pub.partners.length
+            ? pub.players.filter(p => p !== pub.highestBidder && !revealed.has(p))
+            : []);
+    return new Set(team.filter(p => p !== name));
+}
+
+/** True when no unseen card of the same suit in this deck can beat `card`. */
+function isMaster(card, deck, hand, played) {
+    return !deck.some(c =>
+        c.suit === card.suit &&
+        c.power > card.power &&
+        !hand.some(h => sameCard(h, c)) &&
+        !played.some(p => sameCard(p, c))
+    );
+}
+
+const hard = {
+    bid(gameState, name) {
+        const pub = gameState.public;
+        const next = pub.highestBid + pub.rules.bidStep;
+        return next <= Math.min(estimateBidLimit(gameState, name), pub.maximumBid) ? next : 0;
+    },
+
+    // redouble a bid the hand can carry; double a high bid against a strong hand
+    double(gameState, name) {
+        const pub = gameState.public;
+        if (name === pub.highestBidder) {
+            return estimateBidLimit(gameState, name) >= pub.highestBid ? 'redouble' : 'pass';
+        }
+        const own = handOf(gameState, name);
+        const onBiddingTeam = pub.partners.some(p => own.some(h => sameCard(h, p))) ||
+            knownTeammates(gameState, name).has(pub.highestBidder);
+        const highCards = own.filter(c => c.power >= 13).length;
+        const highBid = pub.highestBid >= pub.minimumBid + 6 * pub.rules.bidStep;
+        return !onBiddingTeam && highBid && highCards >= 3 ? 'double' : 'pass';
+    },
+
+    powerSuit(gameState, name) {
+        return longestSuit(handOf(gameState, name));
+    },
+
+    // call the top power suit cards first, then the other aces
+    partners(gameState, name) {
+        const pub = gameState.public;
+        const count = partnerCount(pub.rules, pub.playerCount);
+        return partnerCandidates(gameState, name, pub.powerSuit).slice(0, count);
+    },
+
+    play(gameState, name) {
+        const pub = gameState.public;
+        const legal = game.getLegalCards(gameState, name);
+        const hand = handOf(gameState, name);
+        const played = playedCards(pub);
+        const trick = currentTrick(pub);
+
+        // leading: cash a sure winner, otherwise give away as little as possible
+        if (trick.length === 0) {
+            const masters = legal.filter(c => c.suit !== pub.powerSuit && isMaster(c, pub.defaultDeck, hand, played));
+            if (masters.length > 0) return masters.sort((a, b) => b.value - a.value)[0];
+            const offSuit = legal.filter(c => c.suit !== pub.powerSuit);
+            return [...(offSuit.length ? offSuit : legal)].sort(byCheapest)[0];
+        }
+
+        const best = trick.reduce((max, entry) => (entry.power > max.power ? entry : max));
+        const lastToPlay = trick.length === pub.playerCount - 1;
+        const teammateWinning = knownTeammates(gameState, name).has(best.playerName);
+
+        // partner has it: add points if the trick is safe
+        if (teammateWinning) {
+            const safe = lastToPlay || isMaster(best.card, pub.defaultDeck, hand, played);
+            const sorted = [...legal].sort(byCheapest);
+            return safe ? sorted[sorted.length - 1] : sorted[0];
+        }
+
+        // win as cheaply as possible when it's worth it
+        const winning = legal
+            .filter(c => game.trickPower(pub, c) > best.power)
+            .sort((a, b) => game.trickPower(pub, a) - game.trickPower(pub, b));
+        const trickPoints = trick.reduce((sum, entry) => sum + entry.card.value, 0);
+        if (winning.length > 0 && (trickPoints > 0 || lastToPlay || winning[0].value > 0)) {
+            return winning[0];
+        }
+        return [...legal].sort(byCheapest)[0];
+    },
+};
+
+const STRATEGIES = { easy, hard };
+
+/**
+ * The move bot `name` makes in the current state, as { event, data },
+ * or null when it isn't the bot's turn.
+ */
+function chooseAction(gameState, name, difficulty = 'easy') {
+    if (game.getActivePlayer(gameState) !== name) return null;
+    const strategy = STRATEGIES[difficulty] || easy;
+
+    switch (gameState.public.stage) {
+        case 'auction':
+            return { event: 'bidPlaced', data: strategy.bid(gameState, name) };
+        case 'powerSuitSelection':
+            return { event: 'powerSuitSelected', data: strategy.powerSuit(gameState, name) };
+        case 'partnerSelection':
+            return { event: 'partnersSelected', data: strategy.partners(gameState, name) };
+        case 'doubling':
+            return { event: 'doubleCalled', data: strategy.double(gameState, name) };
+        case 'playing':
+            return { event: 'cardPlayed', data: strategy.play(gameState, name) };
+        default:
+            return null;
+    }
+}
+
+module.exports = {
+    DIFFICULTIES,
+    chooseAction,
+    estimateBidLimit,
+};
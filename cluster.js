@@ -0,0 +1,115 @@
+// cluster.js
+// Running several server processes against one Redis. Off unless
+// MULTI_INSTANCE=true; a single process doesn't need any of it. Needs the
+// Redis store backend (STORE=redis, see store.js).
+//
+// - socket.io goes through Redis pub/sub (@socket.io/redis-adapter), so
+//   io.to(room) reaches sockets connected to every instance.
+// - Events for a room run one at a time under a Redis lock on the room, on
+//   the latest saved copy (withRoom in index.js). Saves are versioned
+//   (store.setRoom), so a save that lost a race is refused rather than
+//   overwriting the other one.
+// - Each room has one owner: the instance holding its lease, renewed while
+//   the room is in that instance's memory. Only the owner runs the room's
+//   turn timers and bots. When the owner lets go (its players left, or it
+//   shut down) or dies and the lease runs out, another instance with people
+//   in the room takes over.
+
+const crypto = require('crypto');
+const os = require('os');
+const { createAdapter } = require('@socket.io/redis-adapter');
+
+const enabled = process.env.MULTI_INSTANCE === 'true';
+const INSTANCE_ID = process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}`;
+
+const LOCK_MS = 5000;        // a room event holds the lock for at most this long
+const LOCK_WAIT_MS = 3000;   // and waits this long for it before giving up
+const LOCK_RETRY_MS = 20;
+const LEASE_MS = parseInt(process.env.ROOM_LEASE_MS || '15000', 10);
+
+const lockKey = (roomId) => `lock:room:${roomId}`;
+const ownerKey = (roomId) => `owner:room:${roomId}`;
+
+// rooms whose lease this instance holds
+const owned = new Set();
+
+// the Redis store the locks and leases live in, set by attach()
+let store = null;
+
+/** Route socket.io through the store's Redis so every instance sees every room. */
+function attach(io, redisStore) {
+    if (!enabled) return;
+    if (!redisStore.redis) {
+        throw new Error(`MULTI_INSTANCE needs STORE=redis, not ${redisStore.name}`);
+    }
+    store = redisStore;
+    // these wait out a Redis outage instead of failing their subscriptions
+    const pub = redisStore.redis.duplicate({ maxRetriesPerRequest: null });
+    const sub = redisStore.redis.duplicate({ maxRetriesPerRequest: null });
+    for (const client of [pub, sub]) client.on('error', (err) => console.error('Redis adapter error:', err.message));
+    io.adapter(createAdapter(pub, sub));
+    console.log(`Instance ${INSTANCE_ID} running in multi-instance mode`);
+}
+
+/**
+ * Wait for the room's lock. Resolves to a function that releases it, or to
+ * null if the lock couldn't be had in LOCK_WAIT_MS.
+ */
+async function lockRoom(roomId) {
+    if (!enabled) return async () => {};
+    const token = crypto.randomBytes(8).toString('hex');
+    const giveUpAt = Date.now() + LOCK_WAIT_MS;
+    while (!await store.acquireLock(lockKey(roomId), token, LOCK_MS)) {
+        if (Date.now() >= giveUpAt) return null;
+        await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+    return () => store.releaseLock(lockKey(roomId), token);
+}
+
+/** Whether this instance runs the room's timers and bots. */
+function ownsRoom(roomId) {
+    return !enabled || owned.has(roomId);
+}
+
+/** Take the room's lease unless another instance holds it. True if it's ours. */
+async function claimRoom(roomId) {
+    if (ownsRoom(roomId)) return true;
+    if (!await store.acquireLock(ownerKey(roomId), INSTANCE_ID, LEASE_MS)) return false;
+    owned.add(roomId);
+    return true;
+}
+
+/** Give up the room's lease. True if this instance had it. */
+async function releaseRoom(roomId) {
+    if (!owned.delete(roomId)) return false;
+    await store.releaseLock(ownerKey(roomId), INSTANCE_ID);
+    return true;
+}
+
+/** Renew every lease held; returns the rooms whose lease was lost. */
+async function renewLeases() {
+    const lost = [];
+    for (const roomId of owned) {
+        if (await store.renewLock(ownerKey(roomId), INSTANCE_ID, LEASE_MS)) continue;
+        owned.delete(roomId);
+        lost.push(roomId);
+    }
+    return lost;
+}
+
+function ownedRooms() {
+    return [...owned];
+}
+
+module.exports = {
+    enabled,
+    INSTANCE_ID,
+    LEASE_MS,
+    attach,
+    lockRoom,
+    ownsRoom,
+    claimRoom,
+    releaseRoom,
+    renewLeases,
+    ownedRooms,
+};
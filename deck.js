@@ -0,0 +1,176 @@
+// deck.js
+// Builds the deck for a given player count. Cards are removed so that every
+// player gets the same number of cards, and the removal order is chosen per
+// house-rule preset so that scoring cards are never thrown away by accident.
+
+class Card {
+    constructor(suit, number, power, value) {
+        this.suit = suit;
+        this.number = number;
+        this.power = power;
+        this.value = value;
+    }
+}
+
+const SPADES = 'Spades';
+const HEARTS = 'Hearts';
+const DIAMONDS = 'Diamonds';
+const CLUBS = 'Clubs';
+
+const SUITS = [SPADES, HEARTS, DIAMONDS, CLUBS];
+
+const RANKS = [
+    "Ace","King","Queen","Jack","10",
+    "9","8","7","6","5","4","3","2"
+];
+
+// numeric power mapping
+const powerMap = {
+    Ace: 14,
+    King: 13,
+    Queen: 12,
+    Jack: 11,
+    10: 10,
+    9: 9,
+    8: 8,
+    7: 7,
+    6: 6,
+    5: 5,
+    4: 4,
+    3: 3,
+    2: 2,
+};
+
+// the 3 of Spades' value unless a room's rules say otherwise
+const THREE_OF_SPADES_VALUE = 30;
+
+// value mapping
+function computeValue(suit, rank, threeOfSpadesValue = THREE_OF_SPADES_VALUE) {
+    // high cards (Ace → 10)
+    if (["Ace", "King", "Queen", "Jack", "10"].includes(rank)) {
+        return 10;
+    }
+    // special rule: 3 of Spades (30 by default)
+    if (rank === "3" && suit === SPADES) return threeOfSpadesValue;
+    // 5 gives 5 points
+    if (rank === "5") return 5;
+    // all others = 0
+    return 0;
+}
+
+/**
+ * House-rule presets. Each preset lists the order in which cards are taken
+ * out of the 52-card deck until it divides evenly between the players.
+ *
+ * - removeOrder: ranks tried first to last; within a rank, suits are taken
+ *   in suitOrder.
+ * - alwaysRemove: ranks stripped regardless of player count (README rule of
+ *   dropping the 2s), before any further trimming.
+ */
+const DECK_PRESETS = {
+    // Drop the lowest non-scoring cards only. Total stays at 250 for any count.
+    standard: {
+        removeOrder: ["2", "4", "6", "7", "8", "9"],
+        suitOrder: [CLUBS, DIAMONDS, HEARTS, SPADES],
+        alwaysRemove: [],
+    },
+    // Always play without 2s, then trim further low cards if still uneven.
+    noTwos: {
+        removeOrder: ["4", "6", "7", "8", "9"],
+        suitOrder: [CLUBS, DIAMONDS, HEARTS, SPADES],
+        alwaysRemove: ["2"],
+    },
+};
+
+const DEFAULT_PRESET = 'standard';
+
+function createFullDeck(threeOfSpadesValue = THREE_OF_SPADES_VALUE) {
+    const deck = [];
+    for (const suit of SUITS) {
+        for (const rank of RANKS) {
+            deck.push(new Card(suit, rank, powerMap[rank], computeValue(suit, rank, threeOfSpadesValue)));
+        }
+    }
+    return deck;
+}
+
+function totalPoints(cards) {
+    return cards.reduce((sum, card) => sum + card.value, 0);
+}
+
+/**
+ * Minimum opening bid for a deck worth `total` points.
+ * Keeps the classic 120-of-250 ratio, rounded down to a multiple of 5.
+ */
+function minimumBidFor(total) {
+    return Math.floor((total * 48) / 500) * 5;
+}
+
+/**
+ * Build the deck for `playerCount` players under the given preset.
+ * options.threeOfSpadesValue overrides the 3 of Spades' points.
+ *
+ * Returns { cards, removed, totalPoints, minimumBid, maximumBid }.
+ * Throws if the preset is unknown or cannot trim the deck far enough.
+ */
+function buildDeck(playerCount, presetName = DEFAULT_PRESET, options = {}) {
+    const preset = DECK_PRESETS[presetName];
+    if (!preset) throw new Error(`Unknown deck preset "${presetName}"`);
+    if (!Number.isInteger(playerCount) || playerCount < 1) {
+        throw new Error(`Invalid player count ${playerCount}`);
+    }
+
+    let cards = createFullDeck(options.threeOfSpadesValue);
+    const removed = [];
+
+    const take = (suit, rank) => {
+        const idx = cards.findIndex(c => c.suit === suit && c.number === rank);
+        if (idx === -1) return;
+        removed.push(cards[idx]);
+        cards.splice(idx, 1);
+    };
+
+    for (const rank of preset.alwaysRemove) {
+        for (const suit of preset.suitOrder) take(suit, rank);
+    }
+
+    const candidates = [];
+    for (const rank of preset.removeOrder) {
+        for (const suit of preset.suitOrder) candidates.push([suit, rank]);
+    }
+
+    while (cards.length % playerCount !== 0) {
+        const next = candidates.shift();
+        if (!next) {
+            throw new Error(`Deck preset "${presetName}" cannot be split between ${playerCount} players`);
+        }
+        take(...next);
+    }
+
+    const total = totalPoints(cards);
+
+    return {
+        cards,
+        removed,
+        totalPoints: total,
+        minimumBid: minimumBidFor(total),
+        maximumBid: total,
+    };
+}
+
+module.exports = {
+    Card,
+    SPADES,
+    HEARTS,
+    DIAMONDS,
+    CLUBS,
+    SUITS,
+    RANKS,
+    DECK_PRESETS,
+    DEFAULT_PRESET,
+    THREE_OF_SPADES_VALUE,
+    createFullDeck,
+    totalPoints,
+    minimumBidFor,
+    buildDeck,
+};
@@ -0,0 +1,67 @@
+// fileStore.js
+// Store backend that keeps everything as JSON files under one directory
+// (see store.js), so rooms, profiles and players survive a restart without
+// Redis. One file per room, profile or player. Only one server process may
+// use a directory at a time: locks and the ordering of updates live in
+// this process.
+
+const fs = require('fs/promises');
+const path = require('path');
+const { createDocumentStore } = require('./memoryStore');
+
+function fileDocuments(dir) {
+    const pending = new Map();   // key → the last queued update of that file
+    const fileOf = (key) => path.join(dir, `${encodeURIComponent(key)}.json`);
+
+    async function read(key) {
+        try {
+            return JSON.parse(await fs.readFile(fileOf(key), 'utf8'));
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            throw err;
+        }
+    }
+
+    // written next to the file and renamed over it, so readers never see half
+    async function write(key, value) {
+        await fs.mkdir(dir, { recursive: true });
+        const tmp = `${fileOf(key)}.${process.pid}.tmp`;
+        await fs.writeFile(tmp, JSON.stringify(value));
+        await fs.rename(tmp, fileOf(key));
+    }
+
+    async function remove(key) {
+        await fs.rm(fileOf(key), { force: true });
+    }
+
+    // updates of one file run one after another
+    function queue(key, task) {
+        const result = (pending.get(key) || Promise.resolve()).then(task);
+        const settled = result.catch(() => {});
+        pending.set(key, settled);
+        settled.then(() => {
+            if (pending.get(key) === settled) pending.delete(key);
+        });
+        return result;
+    }
+
+    return {
+        get: read,
+        update: (key, fn) => queue(key, async () => {
+            const next = fn(await read(key));
+            if (next === null) await remove(key);
+            else if (next !== undefined) await write(key, next);
+            return next === undefined ? read(key) : next;
+        }),
+    };
+}
+
+/**
+ * options.dir is the directory to keep the files in (created on first
+ * save), options.roomTtlSeconds how long a room is kept after its last save.
+ */
+function createFileStore({ dir, ...options }) {
+    return createDocumentStore('file', fileDocuments(path.resolve(dir)), options);
+}
+
+module.exports = { createFileStore };
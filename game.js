@@ -1,110 +1,108 @@
 const helpers = require('./helpers')
+const { buildDeck, SUITS } = require('./deck');
+const shuffle = require('./shuffle');
+const { resolveRules, partnerCount, bidLimits } = require('./rules');
+const validation = require('./validation');
+const { message } = require('./messages');
 
-class Card {
-    constructor(suit, number, power, value) {
-        this.suit = suit;
-        this.number = number;
-        this.power = power;
-        this.value = value;
-    }
-}
-
-const SPADES = 'Spades';
-const HEARTS = 'Hearts';
-const DIAMONDS = 'Diamonds';
-const CLUBS = 'Clubs';
-
-const SUITS = [SPADES, HEARTS, DIAMONDS, CLUBS];
-
-// numeric power mapping
-const powerMap = {
-    Ace: 14,
-    King: 13,
-    Queen: 12,
-    Jack: 11,
-    10: 10,
-    9: 9,
-    8: 8,
-    7: 7,
-    6: 6,
-    5: 5,
-    4: 4,
-    3: 3,
-    2: 2,
-};
-
-// value mapping
-function computeValue(suit, rank) {
-    // high cards (Ace → 10)
-    if (["Ace", "King", "Queen", "Jack", "10"].includes(rank)) {
-        return 10;
-    }
-    // special rule: 3 of Spades = 30
-    if (rank === "3" && suit === SPADES) return 30;
-    // 5 gives 5 points
-    if (rank === "5") return 5;
-    // all others = 0
-    return 0;
-}
-
-const RANKS = [
-    "Ace","King","Queen","Jack","10",
-    "9","8","7","6","5","4","3","2"
-];
-
-const defaultDeck = [];
-
-for (const suit of SUITS) {
-    for (const rank of RANKS) {
-        const power = powerMap[rank];
-        const value = computeValue(suit, rank);
-        defaultDeck.push(new Card(suit, rank, power, value));
-    }
-}
-
-const deckSize = defaultDeck.length;
+// fixed teams are named after their seats: Team A sits first, third, ...
+const TEAM_NAMES = ['Team A', 'Team B'];
 
 function initialPlayerGameState() {
     return { hand: [] };
 }
 
-function initialGameState(players) {
+/**
+ * Deal a new hand.
+ *
+ * options.rules overrides the defaults in rules.js (deck preset, end
+ * condition, bid limits, ...) and is published as public.rules.
+ * options.seed fixes the shuffle (see shuffle.js); a fresh random seed is
+ * used when omitted. Only its hash is public until the game is over.
+ * options.dealerIndex seats the dealer (used by match.js to rotate it); the
+ * player after the dealer bids first. Without a dealer the first bidder is
+ * drawn from the seed.
+ */
+function initialGameState(players, options = {}) {
     const count = players.length;
-    // create a deck trimmed to divisible by player count
-    const deck = defaultDeck.slice(0, deckSize - (deckSize % count));
-    const shuffled = deck
-        .map(v => ({ v, r: Math.random() }))
-        .sort((a,b) => a.r - b.r)
-        .map(o => o.v);
+    const rules = resolveRules(options.rules);
+    if (rules.teamMode === 'fixed' && count % 2 !== 0) {
+        throw new Error('Fixed teams need an even number of players');
+    }
+    // deck trimmed to divisible by player count, without losing scoring cards
+    const built = buildDeck(count, rules.deckPreset, { threeOfSpadesValue: rules.threeOfSpadesValue });
+    const { cards: deck, totalPoints } = built;
+    const { minimumBid, maximumBid } = bidLimits(rules, built);
+    const seed = options.seed || shuffle.generateSeed();
+    const names = players.map(p => p.name);
+    const hasDealer = Number.isInteger(options.dealerIndex);
+    const firstBidIndex = hasDealer
+        ? (options.dealerIndex + 1) % count
+        : shuffle.pickIndex(seed, 'firstBidder', count);
 
     const playerGameStates = Object.fromEntries(
         players.map(p => [p.name, initialPlayerGameState()])
     );
 
-    // deal cards round-robin
-    shuffled.forEach((card, i) => {
-        const player = players[i % count].name;
-        playerGameStates[player].hand.push(card);
-    });
+    // shuffle and deal cards round-robin
+    const hands = shuffle.dealHands(deck, names, seed);
+    for (const name of names) {
+        playerGameStates[name].hand.push(...hands[name]);
+    }
 
     return {
         public: {
+            rules,
             defaultDeck: deck,
+            totalPoints,
+            minimumBid,
+            maximumBid,
             players: players.map(p => p.name), // array of names
             bidders: players.map(p => p.name),
             playerCount: players.length,
             powerSuit: null,
             partners: [], // this is partner CARDS (bad naming ik but too late to change)
+            teams: rules.teamMode === 'fixed' ? fixedTeams(names) : null,
+            revealedPartners: [], // { playerName, card, trick, self } per called card played
+            winningTeam: null,
+            teamScores: null,
             round: [],
             roundScore: 0,
             playerScores: Object.fromEntries(players.map(p=>[p.name,0])),
+            tricksWon: Object.fromEntries(players.map(p => [p.name, 0])),
+            // tricks per fixed team; with hidden teams only known at gameOver
+            teamTricks: rules.teamMode === 'fixed' ? Object.fromEntries(TEAM_NAMES.map(t => [t, 0])) : null,
             turnIndex: null,
             stage: 'auction',
-            currentBidIndex: Math.floor(Math.random() * players.length),
-            highestBid: 120,
+            dealer: hasDealer ? names[options.dealerIndex % count] : null,
+            currentBidIndex: firstBidIndex,
+            openingBidder: names[firstBidIndex],
+            highestBid: minimumBid,
             highestBidder: null,
+            auctionHistory: [], // { player, action: 'bid' | 'pass' | 'forced' | 'random', amount }
+            passesInRow: 0,
+            doubling: null,     // { order, index, doubledBy, redoubled } while defenders may double
+            multiplier: 1,      // 2 when doubled, 4 when redoubled
             gameWinners: null,
+            tricks: [], // every completed trick, in order
+            decidedAtTrick: null,
+            finalScores: null,
+            deal: {
+                algorithm: shuffle.SHUFFLE_ALGORITHM,
+                seedHash: shuffle.hashSeed(seed),
+                seed: null, // revealed at gameOver
+            },
         },
+        seed,
+        // structured log of the hand; private because the deal entry holds the seed
+        history: [{
+            type: 'deal',
+            at: Date.now(),
+            players: names,
+            rules,
+            seed,
+            dealerIndex: hasDealer ? options.dealerIndex : null,
+        }],
         alpha: new Set(),
         beta: new Set(),
         alphaScore: 0,
@@ -113,6 +111,95 @@ function initialGameState(players) {
     };
 }
 
+/** Append an entry to the hand's history (see history.js). */
+function logEvent(gameState, type, data = {}) {
+    gameState.history = gameState.history || [];
+    gameState.history.push({ type, at: Date.now(), ...data });
+}
+
+/** Name of the player the game is waiting on, or null when nobody is due. */
+function getActivePlayer(gameState) {
+    const pub = gameState.public;
+    switch (pub.stage) {
+        case 'auction': return getCurrentBidder(gameState);
+        case 'powerSuitSelection':
+        case 'partnerSelection': return pub.highestBidder;
+        case 'doubling': return pub.doubling.doubledBy ? pub.highestBidder : pub.doubling.order[pub.doubling.index];
+        case 'playing': return pub.players[pub.turnIndex];
+        default: return null;
+    }
+}
+
+/** Cards `playerName` may legally play right now (empty when it isn't their turn). */
+function getLegalCards(gameState, playerName) {
+    const pub = gameState.public;
+    if (pub.stage !== 'playing' || pub.players[pub.turnIndex] !== playerName) return [];
+    const hand = gameState.playerGameStates[playerName].hand;
+    return hand.filter(card => validation.checkPlay(gameState, playerName, card).ok);
+}
+
+/**
+ * Everything `playerName` may do right now, so clients can offer only legal
+ * moves: bid amounts (passing is always allowed while it's their bid), power
+ * suits, partner cards with how many may be called, doubling calls and
+ * cards. All empty when the game isn't waiting on them.
+ */
+function getLegalMoves(gameState, playerName) {
+    const pub = gameState.public;
+    const moves = { bids: [], powerSuits: [], partners: null, doubleCalls: [], cards: [] };
+    if (getActivePlayer(gameState) !== playerName) return moves;
+
+    switch (pub.stage) {
+        case 'auction':
+            for (let amount = pub.highestBid + pub.rules.bidStep; amount <= pub.maximumBid; amount += pub.rules.bidStep) {
+                moves.bids.push(amount);
+            }
+            break;
+        case 'powerSuitSelection':
+            moves.powerSuits = SUITS.filter(suit => validation.checkPowerSuit(gameState, playerName, suit).ok);
+            break;
+        case 'partnerSelection':
+            moves.partners = {
+                count: partnerCount(pub.rules, pub.playerCount),
+                cards: pub.defaultDeck.filter(card => validation.checkPartners(gameState, playerName, [card]).ok),
+            };
+            break;
+        case 'doubling':
+            moves.doubleCalls = validation.DOUBLE_CALLS.filter(call => validation.checkDouble(gameState, playerName, call).ok);
+            break;
+        case 'playing':
+            moves.cards = getLegalCards(gameState, playerName);
+            break;
+    }
+    return moves;
+}
+
+/** Strength of `card` in a trick; power suit cards rank above everything else. */
+function trickPower(pub, card) {
+    return card.suit === pub.powerSuit ? card.power + 100 : card.power;
+}
+
+/** The two fixed teams for this seat order: alternate seats are partners. */
+function fixedTeams(names) {
+    return TEAM_NAMES.map((name, team) => ({
+        name,
+        players: names.filter((_, seat) => seat % 2 === team),
+    }));
+}
+
+/**
+ * Name of the fixed team `playerName` plays for. Takes anything with a
+ * `teams` list (public state or match); null without fixed teams.
+ */
+function teamOf(state, playerName) {
+    return state.teams?.find(t => t.players.includes(playerName))?.name || null;
+}
+
+/** Result for an action that failed a validation.js check. */
+function rejected(check, extra = {}) {
+    return { status: 'error', code: check.code, messages: [check.message], ...extra };
+}
+
 function getCurrentBidder(gameState) {
     const bidders = gameState.public.bidders;
     if (!bidders || bidders.length === 0) return null;
@@ -126,7 +213,8 @@ function handleAuctionWin(gameState, winnerName, messages) {
     pub.stage = 'powerSuitSelection';
     pub.highestBidder = winnerName;
 
-    messages.push(`${winnerName} wins the auction`);
+    messages.push(message('auctionWon', { player: winnerName }));
+    logEvent(gameState, 'auctionWon', { player: winnerName, amount: pub.highestBid });
 
     return {
         status: 'ok',
@@ -135,37 +223,60 @@ function handleAuctionWin(gameState, winnerName, messages) {
     };
 }
 
+/** Add a step to public.auctionHistory; amount is null for a pass. */
+function recordAuction(pub, player, action, amount = null) {
+    pub.auctionHistory.push({ player, action, amount });
+}
+
+/**
+ * Nobody bid: someone has to take the lowest bid. rules.allPass 'dealer'
+ * forces it on the dealer (without one, the seat before the opening bidder);
+ * otherwise a player is drawn from the deal seed.
+ */
+function handleAllPass(gameState, messages) {
+    const pub = gameState.public;
+    const n = pub.players.length;
+    pub.highestBid = pub.minimumBid + pub.rules.bidStep;
+
+    if (pub.rules.allPass === 'dealer') {
+        pub.highestBidder = pub.dealer ||
+            pub.players[(pub.players.indexOf(pub.openingBidder) + n - 1) % n];
+        messages.push(message('allPassForced', { player: pub.highestBidder, amount: pub.highestBid }));
+        recordAuction(pub, pub.highestBidder, 'forced', pub.highestBid);
+    } else {
+        pub.highestBidder = pub.players[shuffle.pickIndex(gameState.seed, 'allPass', n)];
+        messages.push(message('allPassRandom'));
+        recordAuction(pub, pub.highestBidder, 'random', pub.highestBid);
+    }
+    return handleAuctionWin(gameState, pub.highestBidder, messages);
+}
+
 function placeBid(gameState, playerName, bidAmount) {
     const messages = [];
     const pub = gameState.public;
 
     if (!pub.bidders || pub.bidders.length === 0) {
-        return { status: 'error', messages: ['No bidders'], auctionWon: false };
+        return rejected({ code: validation.ERROR_CODES.WRONG_STAGE, message: 'No bidders' }, { auctionWon: false });
     }
 
-    const currentBidder = pub.bidders[pub.currentBidIndex];
+    const check = validation.checkBid(gameState, playerName, Number(bidAmount) || 0);
+    if (!check.ok) return rejected(check, { auctionWon: false });
 
-    // not player's turn
-    if (currentBidder !== playerName) {
-        return {
-            status: 'wrongTurn',
-            messages: [`Not your turn. It's ${currentBidder}'s turn to bid`],
-            auctionWon: false
-        };
-    }
-
-    const amount = Number(bidAmount) || 0;
-    pub.highestBid = pub.highestBid || 120;
+    const amount = check.value;
+    pub.highestBid = pub.highestBid || pub.minimumBid;
 
     // ---- RAISE ----
     if (amount > pub.highestBid) {
         pub.highestBid = amount;
         pub.highestBidder = playerName;
+        pub.passesInRow = 0;
 
-        messages.push(`${playerName} placed a bid of ${amount}`);
+        messages.push(message('bid', { player: playerName, amount }));
+        logEvent(gameState, 'bid', { player: playerName, amount });
+        recordAuction(pub, playerName, 'bid', amount);
 
         // max bid → instant win
-        if (amount === 250) {
+        if (pub.highestBid === pub.maximumBid) {
             return handleAuctionWin(gameState, playerName, messages);
         }
 
@@ -185,7 +296,28 @@ function placeBid(gameState, playerName, bidAmount) {
     }
 
     // ---- PASS ----
-    messages.push(`${playerName} passes`);
+    messages.push(message('pass', { player: playerName }));
+    logEvent(gameState, 'pass', { player: playerName });
+    recordAuction(pub, playerName, 'pass');
+
+    // with re-entry everyone stays in and the auction ends after a full
+    // round of passes
+    if (pub.rules.reentry) {
+        pub.passesInRow += 1;
+        pub.currentBidIndex = (pub.currentBidIndex + 1) % pub.bidders.length;
+
+        if (pub.highestBidder && pub.passesInRow >= pub.bidders.length - 1) {
+            return handleAuctionWin(gameState, pub.highestBidder, messages);
+        }
+        if (!pub.highestBidder && pub.passesInRow >= pub.bidders.length) {
+            return handleAllPass(gameState, messages);
+        }
+        return {
+            status: 'ok',
+            messages,
+            auctionWon: false
+        };
+    }
 
     const idx = pub.bidders.indexOf(playerName);
     if (idx !== -1) {
@@ -196,12 +328,9 @@ function placeBid(gameState, playerName, bidAmount) {
             pub.currentBidIndex %= pub.bidders.length;
         }
 
-        // no bidders → nobody bid; you may choose rules here
+        // no bidders → nobody bid
         if (pub.bidders.length === 0) {
-            pub.highestBid = 125
-            pub.highestBidder = pub.players[Math.floor(Math.random() * pub.players.length)]
-            messages.push("All players passed, selecting winner at random")
-            return handleAuctionWin(gameState, pub.highestBidder, messages);
+            return handleAllPass(gameState, messages);
         }
 
         // single bidder left → they win automatically
@@ -225,89 +354,243 @@ function placeBid(gameState, playerName, bidAmount) {
 }
 
 function selectPowerSuit(gameState, playerName, selectedSuit){
+    const check = validation.checkPowerSuit(gameState, playerName, selectedSuit)
+    if(!check.ok) return rejected(check)
+
     gameState.public.powerSuit = selectedSuit;
     gameState.public.stage = 'partnerSelection';
-    messages = []
+    const messages = []
+
+    messages.push(message('powerSuit', { player: playerName, suit: selectedSuit }))
+    logEvent(gameState, 'powerSuit', { player: playerName, suit: selectedSuit })
+
+    // fixed teams are known already, so there are no partners to call
+    if (gameState.public.teams) {
+        seatTeams(gameState, playerName)
+        messages.push(message('teamBidding', { team: teamOf(gameState.public, playerName) }))
+        openPlay(gameState, messages)
+    }
 
-    const partnerCount = Math.ceil(gameState.public.playerCount / 2) - 1;
-    
-    messages.push(`${playerName} selected ${selectedSuit} as the power suit`)
-    
     return {
         messages,
-        data:{partnerCount}
+        data:{partnerCount: partnerCount(gameState.public.rules, gameState.public.playerCount)}
     }
 }
 
 function selectPartners(gameState, playerName, partners){
-    gameState.public.partners = partners;
-    messages = []
-
-    const partnerCount = Math.ceil(gameState.public.playerCount / 2) - 1;
-    if(partners.length > partnerCount) return {status: 'error', messages: ['too many partners']};
+    const check = validation.checkPartners(gameState, playerName, partners)
+    if(!check.ok) return rejected(check)
 
-    gameState.public.stage = 'playing';
+    gameState.public.partners = partners;
+    const messages = []
 
     gameState.alpha.add(playerName);
 
     partners.forEach(card =>{
-        messages.push(`${playerName} selected ${card.number} of ${card.suit} as a partner`)
+        messages.push(message('partnerCalled', { player: playerName, card: { suit: card.suit, number: card.number } }))
 
         for (const [player, state] of Object.entries(gameState.playerGameStates)) {
-            if(player == playerName) continue;
-
-            gameState.beta.add(player);
-
             const hasCard = state.hand.some(handCard => {
                 return handCard.number == card.number && handCard.suit == card.suit
             })
-
-            if(hasCard){
-                gameState.alpha.add(player);
-                gameState.beta.delete(player);
-            }
+            if(hasCard) gameState.alpha.add(player);
         }
     })
+
+    // everyone not holding a called card defends, even when no partner was called
+    for (const player of gameState.public.players) {
+        if(!gameState.alpha.has(player)) gameState.beta.add(player);
+    }
     gameState.public.turnIndex = gameState.public.players.indexOf(playerName)
+    logEvent(gameState, 'partners', {
+        player: playerName,
+        cards: partners.map(({ suit, number }) => ({ suit, number })),
+    })
+    openPlay(gameState, messages)
 
     return {messages}
 }
 
+/** Fixed teams: the bidder's team bids, the other defends, and the bidder leads. */
+function seatTeams(gameState, bidder) {
+    const pub = gameState.public;
+    for (const team of pub.teams) {
+        const side = team.players.includes(bidder) ? gameState.alpha : gameState.beta;
+        team.players.forEach(p => side.add(p));
+    }
+    pub.turnIndex = pub.players.indexOf(bidder);
+}
+
+/**
+ * Teams are set: open the doubling round when the rules have one (every
+ * other player in turn from the bidder's left), otherwise start the tricks.
+ */
+function openPlay(gameState, messages) {
+    const pub = gameState.public;
+    if (!pub.rules.doubling) {
+        pub.stage = 'playing';
+        return;
+    }
+    const n = pub.players.length;
+    const from = pub.players.indexOf(pub.highestBidder);
+    pub.doubling = {
+        order: Array.from({ length: n - 1 }, (_, i) => pub.players[(from + 1 + i) % n]),
+        index: 0,
+        doubledBy: null,
+        redoubled: false,
+    };
+    pub.stage = 'doubling';
+    messages.push(message('doubleOffered', { player: pub.doubling.order[0], amount: pub.highestBid }));
+}
+
+/**
+ * A call in the doubling round: 'double' (defenders only), 'redouble' (the
+ * bidder, once doubled) or 'pass'. The round ends after a redouble, after
+ * the bidder answers a double, or once everyone has passed.
+ */
+function callDouble(gameState, playerName, call) {
+    const check = validation.checkDouble(gameState, playerName, call);
+    if (!check.ok) return rejected(check);
+
+    const pub = gameState.public;
+    const doubling = pub.doubling;
+    const messages = [];
+    logEvent(gameState, 'double', { player: playerName, call });
+
+    if (call === 'double') {
+        doubling.doubledBy = playerName;
+        pub.multiplier = 2;
+        messages.push(message('doubled', { player: playerName, bidder: pub.highestBidder }));
+        return { status: 'ok', messages };
+    }
+
+    if (call === 'redouble') {
+        doubling.redoubled = true;
+        pub.multiplier = 4;
+        messages.push(message('redoubled', { player: playerName }));
+    } else if (!doubling.doubledBy) {
+        messages.push(message('noDouble', { player: playerName }));
+        doubling.index += 1;
+        if (doubling.index < doubling.order.length) {
+            messages.push(message('doubleOffered', { player: doubling.order[doubling.index], amount: pub.highestBid }));
+            return { status: 'ok', messages };
+        }
+    } else {
+        messages.push(message('noRedouble', { player: playerName }));
+    }
+
+    pub.stage = 'playing';
+    if (pub.multiplier > 1) messages.push(message('stakes', { multiplier: pub.multiplier }));
+    return { status: 'ok', messages };
+}
+
+/**
+ * If `card` is one of the called partner cards, make it public who held it.
+ * A player who holds two called cards is revealed twice and counts once,
+ * so the bidding team plays a partner short. A card the bidder called from
+ * their own hand (rules.selfCall 'allow') reveals no partner at all.
+ * Returns the new public.revealedPartners entry, or null.
+ */
+function revealPartner(gameState, playerName, card, messages) {
+    const pub = gameState.public;
+    const called = pub.partners.find(p => p.suit === card.suit && p.number === card.number);
+    if (!called) return null;
+
+    const self = playerName === pub.highestBidder;
+    const again = pub.revealedPartners.some(r => r.playerName === playerName && !r.self);
+    const entry = {
+        playerName,
+        card: { suit: card.suit, number: card.number },
+        trick: pub.tricks.length + 1,
+        self,
+    };
+    pub.revealedPartners.push(entry);
+
+    if (self) messages.push(message('ownPartnerCard', { player: playerName, card: entry.card }));
+    else if (again) messages.push(message('partnerShort', { player: playerName, card: entry.card }));
+    else messages.push(message('partnerRevealed', { player: playerName, card: entry.card, bidder: pub.highestBidder }));
+    logEvent(gameState, 'partnerRevealed', { player: playerName, card: entry.card, self });
+
+    return entry;
+}
+
+/**
+ * Which team can no longer lose: 'alpha' once the bid is made, 'beta' once
+ * the bid is out of reach, otherwise null.
+ */
+function decidedTeam(gameState) {
+    const pub = gameState.public;
+    if (gameState.alphaScore >= pub.highestBid) return 'alpha';
+    if (gameState.betaScore > pub.totalPoints - pub.highestBid) return 'beta';
+    return null;
+}
+
+/** End the hand, publish the team totals and reveal the deal seed. */
+function finishGame(gameState, winners) {
+    const pub = gameState.public;
+    pub.gameWinners = winners;
+    pub.stage = 'gameOver';
+    pub.finalScores = { alpha: gameState.alphaScore, beta: gameState.betaScore };
+    if (!pub.teams) {
+        pub.teamTricks = {
+            alpha: pub.tricks.filter(t => gameState.alpha.has(t.winner)).length,
+            beta: pub.tricks.filter(t => gameState.beta.has(t.winner)).length,
+        };
+    }
+    if (pub.teams) {
+        pub.winningTeam = teamOf(pub, winners[0]);
+        pub.teamScores = Object.fromEntries(pub.teams.map(t => [
+            t.name,
+            gameState.alpha.has(t.players[0]) ? gameState.alphaScore : gameState.betaScore,
+        ]));
+    }
+    pub.deal.seed = gameState.seed;
+    logEvent(gameState, 'gameOver', { winners, finalScores: pub.finalScores });
+}
+
+/**
+ * Re-derive every hand from a revealed deal.
+ * Takes the public state of a finished game and returns
+ * { valid, hands } where valid means the seed matches the committed hash.
+ */
+function verifyDeal(pub) {
+    const { seed, seedHash } = pub.deal || {};
+    if (!seed) return { valid: false, hands: null };
+    return {
+        valid: shuffle.hashSeed(seed) === seedHash,
+        hands: shuffle.dealHands(pub.defaultDeck, pub.players, seed),
+    };
+}
+
 function playCard(gameState, playerName, card){
 
     const pub = gameState.public
-    messages = []
-    if(pub.players[pub.turnIndex] != playerName) return {status: "error", messages: ["Not your turn to play"]};
+    const messages = []
+    let revealed = null
+    let trick = null
+    const check = validation.checkPlay(gameState, playerName, card)
+    if(!check.ok) return rejected(check)
 
     if(pub.round.length == pub.playerCount){
         pub.round = []
         pub.roundLeader = null
         pub.roundScore = 0
     }
-    
-    if(pub.round.length > 0 && pub.round.length < pub.playerCount){
-        const leadSuit = pub.round[0].card.suit
-        if(card.suit != leadSuit){
-            const hasLeadSuit = gameState.playerGameStates[playerName].hand.some(c => c.suit == leadSuit)
-            if(hasLeadSuit){
-                messages.push(`${playerName} must follow suit ${leadSuit}`)
-                return {status: "error", messages: [`${playerName} must follow suit ${leadSuit}`]};
-            }
-        }
-    }
-    
+
     card = helpers.removeCardFromHand(gameState.playerGameStates[playerName].hand, card.suit, card.number)
     
     if(card){
 
-        messages.push(`${playerName} played ${card.number} of ${card.suit}`)
+        messages.push(message('cardPlayed', { player: playerName, card: { suit: card.suit, number: card.number } }))
+        logEvent(gameState, 'card', { player: playerName, card: { suit: card.suit, number: card.number } })
+        revealed = revealPartner(gameState, playerName, card, messages)
 
         pub.turnIndex = (pub.turnIndex + 1) % pub.playerCount;
         const round = pub.round
         round.push({
             playerName,
             card,
-            power: (card.suit==pub.powerSuit) ? card.power + 100 : card.power
+            power: trickPower(pub, card)
         });
         const roundScore = round.reduce((sum, c) => sum + c.card.value, 0);
         const roundLeader = round.reduce((max, c) => (c.power > max.power ? c : max)).playerName
@@ -316,6 +599,8 @@ function playCard(gameState, playerName, card){
 
         if(round.length == pub.playerCount){
 			pub.playerScores[roundLeader] += roundScore;
+            pub.tricksWon[roundLeader] += 1
+            if (pub.teams) pub.teamTricks[teamOf(pub, roundLeader)] += 1
 
             if(gameState.alpha.has(roundLeader)){
                 gameState.alphaScore += roundScore;
@@ -323,27 +608,38 @@ function playCard(gameState, playerName, card){
                 gameState.betaScore += roundScore;
             }
 
-            pub.turnIndex = pub.players.indexOf(roundLeader)
-            messages.push(`${roundLeader} won ${roundScore} points`)
-
-            if(gameState.alphaScore >= pub.highestBid){
-                messages.push(`${[...gameState.alpha]} win!`)
-                pub.gameWinners = [...gameState.alpha]
-                pub.stage = 'gameOver'
+            trick = {
+                number: pub.tricks.length + 1,
+                cards: round.map(({ playerName, card }) => ({ playerName, card })),
+                winner: roundLeader,
+                points: roundScore,
             }
-            if(gameState.betaScore > 250 - pub.highestBid){
-                messages.push(`${[...gameState.beta]} win!`)
-                pub.gameWinners = [...gameState.beta]
-                pub.stage = 'gameOver'
+            pub.tricks.push(trick)
+
+            pub.turnIndex = pub.players.indexOf(roundLeader)
+            messages.push(message('trickWon', { player: roundLeader, points: roundScore }))
+            logEvent(gameState, 'trick', { number: pub.tricks.length, winner: roundLeader, points: roundScore })
+
+            // with 'playOut' the hand continues until every card is played
+            const decided = decidedTeam(gameState)
+            if(decided && pub.decidedAtTrick === null) pub.decidedAtTrick = pub.tricks.length
+            const handsEmpty = Object.values(gameState.playerGameStates).every(s => s.hand.length === 0)
+
+            if(decided && (handsEmpty || pub.rules.endCondition === 'decided')){
+                const winners = [...gameState[decided]]
+                messages.push(message('gameWon', { winners, team: teamOf(pub, winners[0]) }))
+                finishGame(gameState, winners)
             }
         }
 
     }else{
-        return {status: "error", messages: [`Card not found in hand`]};
+        return rejected({ code: validation.ERROR_CODES.CARD_NOT_IN_HAND, message: 'Card not found in hand' });
     }
     
     return {
         messages,
+        revealed,
+        trick,
     }
 }
 
@@ -351,8 +647,16 @@ module.exports = {
     initialGameState,
     placeBid,
     getCurrentBidder,
+    getActivePlayer,
+    getLegalCards,
+    getLegalMoves,
+    trickPower,
+    fixedTeams,
+    teamOf,
     selectPowerSuit,
     selectPartners,
+    callDouble,
     playCard,
+    verifyDeal,
 };
 
@@ -1,4 +1,7 @@
 // helpers.js
+const { ERROR_CODES } = require('./validation');
+const { message, renderMessage, languageRoom, LANGUAGE_CODES } = require('./messages');
+
 function createRoomIfMissing(roomData, roomId) {
     if (!roomData[roomId]) roomData[roomId] = { messages: [] };
 }
@@ -9,19 +12,48 @@ function sendUserMessage(io, roomData, roomId, msg) {
     io.to(roomId).emit('userMessage', msg);
 }
 
+/**
+ * Keep a game message (see messages.js) in the room's history and send it
+ * to everyone: as data in `gameMessage`, and as text in each client's
+ * language in `message`.
+ */
 function sendToRoom(io, roomData, roomId, msg) {
     createRoomIfMissing(roomData, roomId);
     roomData[roomId].messages.push(msg);
-    io.to(roomId).emit('message', msg);
+    io.to(roomId).emit('gameMessage', msg);
+    for (const language of LANGUAGE_CODES) {
+        io.to(languageRoom(roomId, language)).emit('message', renderMessage(msg, language));
+    }
 }
 
+/** sendToRoom for several messages at once (`gameMessages` and `bulkMessage`). */
 function bulkSendToRoom(io, roomData, roomId, msgs) {
     createRoomIfMissing(roomData, roomId);
     roomData[roomId].messages.push(...msgs);
-    io.to(roomId).emit('bulkMessage', msgs);
+    io.to(roomId).emit('gameMessages', msgs);
+    for (const language of LANGUAGE_CODES) {
+        io.to(languageRoom(roomId, language)).emit('bulkMessage', msgs.map(msg => renderMessage(msg, language)));
+    }
 }
 
-function syncGameState(io, roomId, gameState, gameResults) {
+/** Send `msgs` (a room's history, say) to one socket, rendered in its language. */
+function sendMessagesTo(socket, msgs) {
+    socket.emit('gameMessages', msgs);
+    socket.emit('bulkMessage', msgs.map(msg => renderMessage(msg, socket.language)));
+}
+
+/** A game message for one socket only; it isn't kept in the room's history. */
+function tellSocket(socket, msg) {
+    socket.emit('gameMessage', msg);
+    socket.emit('message', renderMessage(msg, socket.language));
+}
+
+/**
+ * Send each connected player their view of the game. `stateVersion` (see
+ * withRoom in index.js) lets a client ignore an update older than one it has;
+ * `legalMoves(playerName)` gives each player the moves open to them.
+ */
+function syncGameState(io, roomId, gameState, gameResults, stateVersion, legalMoves) {
     if (!gameState) return;
     const pub = gameState.public || {};
     const pg = gameState.playerGameStates || {};
@@ -31,11 +63,28 @@ function syncGameState(io, roomId, gameState, gameResults) {
     for (const [playerName, playerState] of Object.entries(pg)) {
         const socketId = map[playerName];
         if (!socketId) continue;
-        const sock = io.sockets.sockets.get(socketId);
-        if (sock) sock.emit('gameStateUpdate', { public: pub, playerGameState: playerState, gameResults: gameResults });
+        io.to(socketId).emit('gameStateUpdate', {
+            public: pub,
+            playerGameState: playerState,
+            gameResults: gameResults,
+            stateVersion,
+            legalMoves: legalMoves ? legalMoves(playerName) : undefined,
+        });
     }
 }
 
+/** Emit to every connected spectator in a { name: socketId } map. */
+function emitToSpectators(io, spectators, event, payload) {
+    for (const socketId of Object.values(spectators || {})) {
+        io.to(socketId).emit(event, payload);
+    }
+}
+
+function syncMatchState(io, roomId, match) {
+    if (!match) return;
+    io.to(roomId).emit('matchStateUpdate', match);
+}
+
 /**
  * Clear room from in-memory roomData if the socket.io room is empty.
  * Returns true if the room was cleared, false if it still has members.
@@ -61,21 +110,34 @@ function removeCardFromHand(hand, suit, number) {
     );
 
     if (idx !== -1) {
-        card = hand[idx];
+        const card = hand[idx];
         hand.splice(idx, 1);   // removes the card
         return card;           // returns the removed card
     }
     return null;               // card not found
 }
 
-function validateRoomAndGameStage(socket, roomId, gs, expectedStage) {
-    if (!roomId) return false;
+/**
+ * Tell a single client its action was rejected.
+ * `actionError` carries the machine-readable code; the plain `message` is
+ * kept for clients that only show text.
+ */
+function sendError(socket, event, code, message) {
+    socket.emit('actionError', { event, code, message });
+    socket.emit('message', message);
+}
+
+function validateRoomAndGameStage(socket, roomId, gs, expectedStage, event) {
+    if (!roomId) {
+        sendError(socket, event, ERROR_CODES.NOT_IN_ROOM, 'Not in a room');
+        return false;
+    }
     if (!gs) {
-        socket.emit('message', 'No ongoing game in this room.');
+        sendError(socket, event, ERROR_CODES.NO_GAME, 'No ongoing game in this room.');
         return false;
     }
     if (gs.public.stage !== expectedStage) {
-        socket.emit('message', 'Wrong game stage');
+        sendError(socket, event, ERROR_CODES.WRONG_STAGE, 'Wrong game stage');
         return false;
     }
     return true;
@@ -88,7 +150,7 @@ function getGameState(roomData, roomId) {
 
 function announcePlayerTurn(io, roomData, roomId, gameState) {
     const currentPlayer = gameState.public.players[gameState.public.turnIndex];
-    sendToRoom(io, roomData, roomId, `It's ${currentPlayer}'s turn!`);
+    sendToRoom(io, roomData, roomId, message('playerTurn', { player: currentPlayer }));
 }
 
 module.exports = {
@@ -96,9 +158,14 @@ module.exports = {
     sendUserMessage,
     sendToRoom,
     bulkSendToRoom,
+    sendMessagesTo,
+    tellSocket,
     syncGameState,
+    syncMatchState,
+    emitToSpectators,
     clearRoomIfEmpty,
     removeCardFromHand,
+    sendError,
     validateRoomAndGameStage,
     getGameState,
     announcePlayerTurn
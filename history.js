@@ -0,0 +1,86 @@
+// history.js
+// Export and replay of a hand's event log.
+//
+// game.js appends an entry to gameState.history for everything that happens:
+//   deal        { players, rules, seed, dealerIndex }
+//   bid         { player, amount }          pass      { player }
+//   auctionWon  { player, amount }
+//   powerSuit   { player, suit }            partners  { player, cards }
+//   card        { player, card }            trick     { number, winner, points }
+//   double      { player, call }            partnerRevealed { player, card, self }
+//   gameOver    { winners, finalScores }
+// Every entry also has `type` and `at` (ms timestamp). Entries listed in
+// ACTIONS are player moves; the rest are outcomes and are re-derived when a
+// log is replayed.
+
+const game = require('./game');
+
+const HISTORY_FORMAT = 'kaaritirri-history';
+const HISTORY_VERSION = 1;
+
+// player moves → the game.js call that repeats them
+const ACTIONS = {
+    bid: (gs, e) => game.placeBid(gs, e.player, e.amount),
+    pass: (gs, e) => game.placeBid(gs, e.player, 0),
+    powerSuit: (gs, e) => game.selectPowerSuit(gs, e.player, e.suit),
+    partners: (gs, e) => game.selectPartners(gs, e.player, e.cards),
+    double: (gs, e) => game.callDouble(gs, e.player, e.call),
+    card: (gs, e) => game.playCard(gs, e.player, e.card),
+};
+
+/**
+ * JSON-ready export of a hand's log. Refuses unfinished hands, because the
+ * deal entry reveals every player's cards.
+ */
+function exportHistory(gameState) {
+    if (gameState.public.stage !== 'gameOver') {
+        throw new Error('A hand can only be exported once it is over');
+    }
+    return {
+        format: HISTORY_FORMAT,
+        version: HISTORY_VERSION,
+        events: gameState.history.map(e => ({ ...e })),
+    };
+}
+
+/** The player moves of an export, in order. Step n is the state after n moves. */
+function actionsOf(exported) {
+    return exported.events.filter(e => ACTIONS[e.type]);
+}
+
+/**
+ * Rebuild the game state after the first `step` moves of an exported hand
+ * by dealing again from the logged seed and re-running every move through
+ * game.js. Omit `step` to replay the whole hand. Throws if the log doesn't
+ * replay cleanly.
+ */
+function replay(exported, step = Infinity) {
+    if (exported?.format !== HISTORY_FORMAT || exported.version !== HISTORY_VERSION) {
+        throw new Error('Not a supported history export');
+    }
+    const deal = exported.events[0];
+    if (!deal || deal.type !== 'deal') throw new Error('History does not start with a deal');
+
+    const gameState = game.initialGameState(
+        deal.players.map(name => ({ name })),
+        { rules: deal.rules, seed: deal.seed, dealerIndex: deal.dealerIndex ?? undefined }
+    );
+
+    const moves = actionsOf(exported).slice(0, step);
+    moves.forEach((event, i) => {
+        const result = ACTIONS[event.type](gameState, event);
+        if (result.status === 'error') {
+            throw new Error(`Move ${i + 1} (${event.type} by ${event.player}) does not replay: ${result.messages[0]}`);
+        }
+    });
+
+    return gameState;
+}
+
+module.exports = {
+    HISTORY_FORMAT,
+    HISTORY_VERSION,
+    exportHistory,
+    actionsOf,
+    replay,
+};
@@ -1,12 +1,29 @@
 require('dotenv').config();
 
+const crypto = require('crypto');
 const express = require('express');
 const http = require('http');
 const path = require('path');
 const { Server } = require('socket.io');
 const game = require('./game');
+const matches = require('./match');
+const bots = require('./bots');
+const timers = require('./timers');
+const takeback = require('./takeback');
+const { message, languageRoom, DEFAULT_LANGUAGE } = require('./messages');
+const history = require('./history');
+const spectators = require('./spectators');
+const sessions = require('./sessions');
+const lobbies = require('./lobby');
 const helpers = require('./helpers');
-const redisStore = require('./redisClient');
+const validation = require('./validation');
+const { openStore } = require('./store');
+const profiles = require('./profiles');
+const players = require('./players');
+const ratings = require('./ratings');
+const matchmaking = require('./matchmaking');
+const cluster = require('./cluster');
+const { createApiRouter } = require('./api');
 
 const app = express();
 const server = http.createServer(app);
@@ -19,72 +36,1064 @@ const io = new Server(server, {
 
 const port = process.env.PORT || 3000;
 
+const store = openStore();
+cluster.attach(io, store);
+
 // In-memory cache of rooms for the current server session.
-// On join, if a room isn't cached here we attempt to load it from Redis.
-// After every mutation we persist back to Redis.
-// socketMap is session-specific (socket IDs change on reconnect) so it is
-// always rebuilt from the live sockets; stale IDs from Redis are harmless
-// because they get overwritten immediately in the joinRoom handler.
+// On join, if a room isn't cached here we attempt to load it from the store.
+// After every mutation we persist back to the store (see store.js).
+// socketMap lists the players connected right now (socket IDs change on
+// reconnect). Entries left behind by a restart or a crashed instance are
+// dropped when the room is taken over (see reconcileMembers).
 const roomData = {};
 
+// finished hands whose full event log is kept per room for export/replay
+const HISTORY_LIMIT = 20;
+
 // ─── Persistence helpers ───────────────────────────────────────────────────
 
-/** Save the current in-memory state for a room to Redis. */
+// roomId → the last queued save of that room
+const saves = {};
+
+/**
+ * Save the current in-memory state for a room to the store. If another
+ * instance owns the room, let it know so it can re-arm its timers.
+ * Saves of one room run one after another, each starting from the version
+ * the previous one wrote.
+ */
 async function persist(roomId) {
-    if (roomData[roomId]) {
-        await redisStore.setRoom(roomId, roomData[roomId]);
-    }
+    const save = (saves[roomId] || Promise.resolve()).then(async () => {
+        if (!roomData[roomId]) return;
+        const saved = await store.setRoom(roomId, roomData[roomId]);
+        if (saved && !cluster.ownsRoom(roomId)) io.serverSideEmit('roomSaved', roomId);
+    });
+    saves[roomId] = save;
+    await save;
+    if (saves[roomId] === save) delete saves[roomId];
 }
 
 /**
  * Ensure roomData[roomId] is populated.
- * If it isn't in memory yet, try to restore it from Redis first.
+ * If it isn't in memory yet, try to restore it from the store first.
  */
 async function ensureRoom(roomId) {
     if (!roomData[roomId]) {
-        const stored = await redisStore.getRoom(roomId);
+        const stored = await store.getRoom(roomId);
         if (stored) {
             roomData[roomId] = stored;
-            console.log(`Room ${roomId} restored from Redis`);
+            console.log(`Room ${roomId} restored from the store`);
+            await takeOver(roomId);
         } else {
-            roomData[roomId] = { messages: [], chat: [], gameResults: [] };
+            roomData[roomId] = newRoom();
+            await cluster.claimRoom(roomId);
+        }
+    }
+}
+
+function newRoom(lobby = lobbies.createLobby()) {
+    return { messages: [], chat: [], gameResults: [], lobby, stateVersion: 0 };
+}
+
+// how long a room opened for players (ranked or over the API) waits for
+// someone to join before it is dropped from memory
+const UNUSED_ROOM_SECONDS = parseInt(process.env.UNUSED_ROOM_SECONDS || '120', 10);
+
+function dropIfUnused(roomId) {
+    setTimeout(() => withRoom(roomId, async () => {
+        if (roomData[roomId] && connectedNames(roomId).length === 0) forgetRoom(roomId);
+    }), UNUSED_ROOM_SECONDS * 1000).unref();
+}
+
+// ─── Room commands ─────────────────────────────────────────────────────────
+// Everything that changes a room (socket events, bot moves, turn timeouts,
+// REST calls) runs as a command through withRoom. A room's commands run one
+// at a time in the order they arrived, so one never sees another half done
+// across an await. Each command bumps the room's stateVersion, which is sent
+// with every game state so clients can drop an update older than one they
+// already have.
+//
+// With MULTI_INSTANCE=true several servers share the rooms (see cluster.js):
+// a command also holds the room's Redis lock and starts from the latest
+// saved copy. In a single process every room is owned.
+
+// roomId → the last command queued for that room on this instance
+const roomQueues = new Map();
+
+/** Run fn once every command queued for the room before it has finished. */
+function queueRoom(roomId, fn) {
+    const run = (roomQueues.get(roomId) || Promise.resolve()).then(fn);
+    const settled = run.catch(() => {});
+    roomQueues.set(roomId, settled);
+    settled.then(() => {
+        if (roomQueues.get(roomId) === settled) roomQueues.delete(roomId);
+    });
+    return run;
+}
+
+/**
+ * Run a command on the room: after the ones queued before it, under the
+ * room's lock and, if another instance saved the room since we last saw
+ * it, on the saved copy. Returns false, without running it, if the lock
+ * couldn't be had. Never await withRoom for a room from inside one of its
+ * own commands; it would wait for itself.
+ */
+async function withRoom(roomId, fn) {
+    if (!roomId) {
+        await fn();
+        return true;
+    }
+    return queueRoom(roomId, async () => {
+        const release = await cluster.lockRoom(roomId);
+        if (!release) return false;
+        try {
+            if (cluster.enabled) await refreshRoom(roomId);
+            const room = roomData[roomId];
+            if (room) room.stateVersion = (room.stateVersion || 0) + 1;
+            await fn();
+        } finally {
+            await release();
+        }
+        return true;
+    });
+}
+
+/** Swap in the stored copy of a room if it is newer than the one in memory. */
+async function refreshRoom(roomId) {
+    const room = roomData[roomId];
+    if (!room) return;
+    const version = await store.getRoomVersion(roomId);
+    if (version === null || version <= (room.version || 0)) return;
+    const stored = await store.getRoom(roomId);
+    if (stored) roomData[roomId] = stored;
+}
+
+/** Drop players and spectators recorded in the room who aren't connected anywhere. */
+async function reconcileMembers(roomId) {
+    const room = roomData[roomId];
+    let live;
+    try {
+        live = new Set((await io.in(roomId).fetchSockets()).map(s => s.id));
+    } catch (err) {
+        console.error(`Could not list the sockets in ${roomId}:`, err.message);
+        return;
+    }
+    for (const [name, socketId] of Object.entries(room.socketMap || {})) {
+        if (live.has(socketId)) continue;
+        delete room.socketMap[name];
+        sessions.markDisconnected(room, name);
+        lobbies.setReady(room.lobby, name, false);
+    }
+    for (const [name, socketId] of Object.entries(room.spectators || {})) {
+        if (!live.has(socketId)) delete room.spectators[name];
+    }
+}
+
+/**
+ * Become the room's owner if nobody is: forget whoever left while it had no
+ * owner and restart its turn clock and bots. Call with the room locked.
+ */
+async function takeOver(roomId) {
+    if (!roomData[roomId] || !await cluster.claimRoom(roomId)) return;
+    await reconcileMembers(roomId);
+    armTurnTimer(roomId);
+    armTakebackTimer(roomId);
+    scheduleBots(roomId);
+    await persist(roomId);
+}
+
+/** Drop a room from this instance's memory and hand its lease to the others. */
+function forgetRoom(roomId) {
+    delete roomData[roomId];
+    cancelBots(roomId);
+    clearTurnTimer(roomId);
+    clearTakebackTimer(roomId);
+    cancelSpectatorTimers(roomId);
+    cluster.releaseRoom(roomId).then(released => {
+        if (released) io.serverSideEmit('roomReleased', roomId);
+    });
+}
+
+if (cluster.enabled) {
+    // another instance saved a room we own: pick up its new turn and bot
+    io.on('roomSaved', (roomId) => {
+        if (!roomData[roomId] || !cluster.ownsRoom(roomId)) return;
+        withRoom(roomId, async () => {
+            armTurnTimer(roomId);
+            armTakebackTimer(roomId);
+            scheduleBots(roomId);
+        });
+    });
+
+    // a room's owner let go of it: take over if we have people in it
+    io.on('roomReleased', (roomId) => {
+        if (roomData[roomId]) withRoom(roomId, () => takeOver(roomId));
+    });
+
+    io.on('roomClosed', (roomId) => queueRoom(roomId, () => dropClosedRoom(roomId)));
+
+    // keep our leases, and take over rooms whose owner has gone quiet
+    setInterval(async () => {
+        for (const roomId of await cluster.renewLeases()) {
+            cancelBots(roomId);
+            clearTurnTimer(roomId);
+            clearTakebackTimer(roomId);
+        }
+        for (const roomId of Object.keys(roomData)) {
+            if (!cluster.ownsRoom(roomId)) withRoom(roomId, () => takeOver(roomId));
+        }
+    }, cluster.LEASE_MS / 3).unref();
+
+    // on a clean shutdown hand every room over straight away
+    const shutdown = async () => {
+        for (const roomId of cluster.ownedRooms()) {
+            if (await cluster.releaseRoom(roomId)) io.serverSideEmit('roomReleased', roomId);
+        }
+        setTimeout(() => process.exit(0), 100);
+    };
+    process.once('SIGTERM', shutdown);
+    process.once('SIGINT', shutdown);
+}
+
+// ─── Game helpers ──────────────────────────────────────────────────────────
+
+/** Players connected to the room on any instance, in joining order. */
+function connectedNames(roomId) {
+    return Object.keys(roomData[roomId]?.socketMap || {});
+}
+
+/** Everyone in the lobby's seats, humans and bots, in seat order. */
+function seatedPlayers(roomId) {
+    const room = roomData[roomId];
+    return room.lobby.seats.map(name => ({ id: room.socketMap?.[name] || null, name }));
+}
+
+/**
+ * Free the seats of players who left and whose session is no longer held,
+ * so they don't hold up the ready check forever.
+ */
+function releaseAbandonedSeats(roomId) {
+    const room = roomData[roomId];
+    const connected = connectedNames(roomId);
+    for (const name of [...room.lobby.seats]) {
+        if (lobbies.isBot(room.lobby, name) || connected.includes(name)) continue;
+        if (room.ranked && room.playerIds?.[name]) continue; // kept for the matched player
+        if (sessions.seatStatus(room, roomId, name, null, false) === 'free') lobbies.leaveSeat(room.lobby, name);
+    }
+}
+
+/**
+ * Forget that `name` is in the room as a player or spectator: free their
+ * place in socketMap, hand over hosting and close a takeback that needs
+ * them. Their seat stays for a reconnect. Call as a command of the room.
+ */
+function removeMember(roomId, name, role) {
+    const room = roomData[roomId];
+    if (role === 'spectator') {
+        delete room.spectators[name];
+        helpers.sendToRoom(io, roomData, roomId, message('stoppedWatching', { player: name }));
+        broadcastSpectators(roomId);
+        return;
+    }
+
+    delete room.socketMap[name];
+    sessions.markDisconnected(room, name);
+    lobbies.setReady(room.lobby, name, false);
+    if (room.lobby.host === name) {
+        room.lobby.host = lobbies.nextHost(room.lobby, connectedNames(roomId).filter(n => n !== name));
+    }
+
+    helpers.sendToRoom(io, roomData, roomId, message('disconnected', { player: name }));
+    broadcastMembers(roomId);
+
+    const request = room.takeback;
+    if (request && (request.player === name || request.voters.includes(name))) {
+        settleTakeback(roomId, 'left', name);
+    }
+}
+
+/** Broadcast who is in the room: humans and bots, plus the lobby details. */
+function broadcastMembers(roomId) {
+    const room = roomData[roomId];
+    const connected = connectedNames(roomId);
+    io.to(roomId).emit('memberList', [...connected, ...room.lobby.bots.map(b => b.name)]);
+    io.to(roomId).emit('lobbyUpdate', lobbies.lobbyView(room.lobby, connected));
+}
+
+/** Tell the room who is watching; spectators are listed apart from members. */
+function broadcastSpectators(roomId) {
+    const names = Object.keys(roomData[roomId].spectators || {});
+    io.to(roomId).emit('spectatorList', { count: names.length, names });
+}
+
+/** Send every player their game state, plus the match state if one is running. */
+function syncRoom(roomId) {
+    const room = roomData[roomId];
+    helpers.syncGameState(io, roomId, room.gameState, room.gameResults, room.stateVersion,
+        name => game.getLegalMoves(room.gameState, name));
+    if (room.match) helpers.syncMatchState(io, roomId, room.match);
+    syncSpectators(roomId);
+}
+
+// pending delayed hand reveals per room
+const spectatorTimers = new Map();
+
+/**
+ * Send spectators the public state now and, if the room shows hands, a
+ * snapshot of every hand once the room's delay has passed.
+ */
+function syncSpectators(roomId) {
+    const room = roomData[roomId];
+    if (!room.gameState || Object.keys(room.spectators || {}).length === 0) return;
+
+    helpers.emitToSpectators(io, room.spectators, 'spectatorStateUpdate',
+        spectators.spectatorView(room.gameState, room.gameResults, room.stateVersion));
+
+    const delay = room.lobby.spectatorDelaySeconds;
+    if (delay === null || delay === undefined) return;
+
+    const snapshot = spectators.handsSnapshot(room.gameState);
+    const pending = spectatorTimers.get(roomId) || new Set();
+    spectatorTimers.set(roomId, pending);
+    const timer = setTimeout(() => {
+        pending.delete(timer);
+        if (roomData[roomId]) helpers.emitToSpectators(io, roomData[roomId].spectators, 'spectatorHands', snapshot);
+    }, delay * 1000);
+    pending.add(timer);
+}
+
+function cancelSpectatorTimers(roomId) {
+    for (const timer of spectatorTimers.get(roomId) || []) clearTimeout(timer);
+    spectatorTimers.delete(roomId);
+}
+
+/**
+ * Start the turn the game is now waiting on: reset its clock, send everyone
+ * the new state and let a bot move if it is one's turn.
+ */
+function advanceTurn(roomId) {
+    timers.startTurn(roomData[roomId].gameState);
+    armTurnTimer(roomId);
+    syncRoom(roomId);
+    scheduleBots(roomId);
+}
+
+/** Install a freshly dealt game in the room and announce the first bidder. */
+function beginGame(roomId, gameState, startedBy) {
+    gameState.socketMap = { ...roomData[roomId].socketMap };
+    roomData[roomId].gameState = gameState;
+    lobbies.resetReady(roomData[roomId].lobby);
+
+    // hand every seated player the token that now also guards their cards
+    for (const [name, socketId] of Object.entries(gameState.socketMap)) {
+        const token = sessions.sessionToken(roomData[roomId], roomId, name);
+        if (token) io.to(socketId).emit('sessionToken', { roomId, name, token });
+    }
+
+    helpers.sendToRoom(io, roomData, roomId, message('gameStarted', { player: startedBy }));
+    advanceTurn(roomId);
+
+    const bidder = game.getCurrentBidder(gameState);
+    helpers.sendToRoom(io, roomData, roomId, message('bidTurn', { player: bidder }));
+}
+
+/** Score a finished hand against the room's match, if there is one. */
+function recordMatchHand(roomId, gs) {
+    const match = roomData[roomId].match;
+    if (!match || match.stage !== 'playing' || !match.handInProgress) return;
+
+    const hand = matches.recordHand(match, gs);
+    helpers.sendToRoom(io, roomData, roomId, message('handResult', {
+        hand: hand.handNumber,
+        bidder: hand.bidder,
+        team: hand.biddingTeam || null,
+        made: hand.made,
+        bid: hand.bid,
+    }));
+
+    if (match.stage === 'finished') {
+        helpers.sendToRoom(io, roomData, roomId, message('matchOver', { winners: match.winners, team: match.winningTeam || null }));
+    }
+}
+
+/**
+ * Add a finished game to the profile of every human who played it.
+ * Registered players are kept by id, guests by name.
+ */
+function updateProfiles(roomId, gameResult) {
+    const { lobby, playerIds = {} } = roomData[roomId];
+    const humans = gameResult.gameWinners.concat(gameResult.gameLosers).filter(name => !lobbies.isBot(lobby, name));
+    for (const name of humans) {
+        const deltas = profiles.gameDeltas(gameResult, name);
+        if (playerIds[name]) store.incrementPlayer(playerIds[name], deltas);
+        else store.incrementProfile(name, deltas);
+    }
+}
+
+/**
+ * Rate a finished game in a ranked room and tell the room how everyone's
+ * rating moved. Bots and guests count at their rating but aren't updated.
+ */
+async function updateRatings(roomId, gameResult) {
+    const room = roomData[roomId];
+    if (!room.ranked) return;
+
+    const ids = { ...room.playerIds };
+    const current = {};
+    for (const name of gameResult.gameWinners.concat(gameResult.gameLosers)) {
+        const record = ids[name] && await store.getPlayer(ids[name]);
+        if (record) current[name] = Number(record.rating);
+    }
+
+    const update = {};
+    for (const [name, change] of Object.entries(ratings.ratingChanges(current, gameResult))) {
+        if (!(name in current)) continue;
+        const rating = await store.adjustRating(ids[name], change);
+        if (rating !== null) update[name] = { rating: Math.round(rating), change };
+    }
+
+    // the game's command has finished by now, so this is a command of its own
+    const recorded = await withRoom(roomId, async () => {
+        const result = roomData[roomId]?.gameResults.find(r => r.gameNumber === gameResult.gameNumber);
+        if (!result) return;
+        result.ratingChanges = update;
+        io.to(roomId).emit('ratingsUpdate', update);
+        await persist(roomId);
+    });
+    if (!recorded) {
+        console.error(`Room ${roomId} was busy: the rating changes of game ${gameResult.gameNumber} are saved but not announced`);
+    }
+}
+
+// ─── Game actions ──────────────────────────────────────────────────────────
+// Each action applies one move for `playerName` and broadcasts the outcome.
+// Client sockets and bots go through the same functions. A result with
+// status 'error' means the move was rejected and nothing changed.
+
+function applyBid(roomId, playerName, bidAmount) {
+    const gs = roomData[roomId].gameState;
+    const result = game.placeBid(gs, playerName, bidAmount);
+    if (result.status === 'error') return result;
+
+    helpers.bulkSendToRoom(io, roomData, roomId, result.messages);
+    advanceTurn(roomId);
+
+    if (!result.auctionWon && gs.public.bidders.length > 0) {
+        const next = game.getCurrentBidder(gs);
+        helpers.sendToRoom(io, roomData, roomId, message('bidTurn', { player: next }));
+    }
+    return result;
+}
+
+function applyPowerSuit(roomId, playerName, selectedSuit) {
+    const gs = roomData[roomId].gameState;
+    const result = game.selectPowerSuit(gs, playerName, selectedSuit);
+    if (result.status === 'error') return result;
+
+    helpers.bulkSendToRoom(io, roomData, roomId, result.messages);
+    advanceTurn(roomId);
+    if (gs.public.stage === 'playing') helpers.announcePlayerTurn(io, roomData, roomId, gs);
+    return result;
+}
+
+function applyPartners(roomId, playerName, cards) {
+    const gs = roomData[roomId].gameState;
+    const result = game.selectPartners(gs, playerName, cards);
+    if (result.status === 'error') return result;
+
+    helpers.bulkSendToRoom(io, roomData, roomId, result.messages);
+    advanceTurn(roomId);
+    if (gs.public.stage === 'playing') helpers.announcePlayerTurn(io, roomData, roomId, gs);
+    return result;
+}
+
+function applyDouble(roomId, playerName, call) {
+    const gs = roomData[roomId].gameState;
+    const result = game.callDouble(gs, playerName, call);
+    if (result.status === 'error') return result;
+
+    helpers.bulkSendToRoom(io, roomData, roomId, result.messages);
+    advanceTurn(roomId);
+    if (gs.public.stage === 'playing') helpers.announcePlayerTurn(io, roomData, roomId, gs);
+    return result;
+}
+
+function applyCard(roomId, playerName, card) {
+    const gs = roomData[roomId].gameState;
+    const result = game.playCard(gs, playerName, card);
+    if (result.status === 'error') return result;
+
+    if (gs.public.stage === 'gameOver') {
+        const room = roomData[roomId];
+        room.gameResults = room.gameResults || [];
+        const gameNumber = room.gameResults.length + 1;
+
+        room.histories = room.histories || [];
+        room.histories.push({ gameNumber, ...history.exportHistory(gs) });
+        if (room.histories.length > HISTORY_LIMIT) room.histories.shift();
+
+        const gameResult = {
+            gameNumber,
+            highestBid: gs.public.highestBid,
+            highestBidder: gs.public.highestBidder,
+            minimumBid: gs.public.minimumBid,
+            maximumBid: gs.public.maximumBid,
+            multiplier: gs.public.multiplier,
+            gameWinners: gs.public.gameWinners,
+            gameLosers: gs.public.players.filter(p => !gs.public.gameWinners.includes(p)),
+            finalScores: gs.public.finalScores,
+            winningTeam: gs.public.winningTeam,
+            teamScores: gs.public.teamScores,
+            playerScores: gs.public.playerScores,
+            tricks: gs.public.tricks,
+            decidedAtTrick: gs.public.decidedAtTrick,
+            biddingTeam: [...gs.alpha],
+            deal: gs.public.deal
+        };
+        room.gameResults.push(gameResult);
+        recordMatchHand(roomId, gs);
+        updateProfiles(roomId, gameResult);
+        updateRatings(roomId, gameResult)
+            .catch(err => console.error(`Could not rate game ${gameNumber} in ${roomId}:`, err));
+    }
+
+    helpers.bulkSendToRoom(io, roomData, roomId, result.messages);
+    advanceTurn(roomId);
+
+    io.to(roomId).emit('cardPlayed', { playerName, card });
+    if (result.revealed) io.to(roomId).emit('partnerRevealed', result.revealed);
+    if (result.trick) {
+        io.to(roomId).emit('trickComplete', {
+            ...result.trick,
+            tricksWon: gs.public.tricksWon,
+            teamTricks: gs.public.teamTricks,
+        });
+    }
+
+    if (gs.public.stage === 'playing') {
+        helpers.announcePlayerTurn(io, roomData, roomId, gs);
+    }
+    return result;
+}
+
+// socket event → stage it is allowed in and the action it triggers
+const gameActions = {
+    bidPlaced: { stage: 'auction', apply: applyBid },
+    powerSuitSelected: { stage: 'powerSuitSelection', apply: applyPowerSuit },
+    partnersSelected: { stage: 'partnerSelection', apply: applyPartners },
+    doubleCalled: { stage: 'doubling', apply: applyDouble },
+    cardPlayed: { stage: 'playing', apply: applyCard },
+};
+
+/**
+ * Remember the move just made so its player can ask to take it back (see
+ * takeback.js). Moves without a snapshot (bots, timeouts) and the move that
+ * ends the hand can't be taken back.
+ */
+function noteMove(roomId, playerName, event, snapshot) {
+    const room = roomData[roomId];
+    room.lastMove = snapshot && room.gameState.public.stage !== 'gameOver'
+        ? { player: playerName, event, snapshot }
+        : null;
+}
+
+/** Validate a game action sent by a client and apply it. */
+async function handleSocketAction(socket, event, data) {
+    const input = validation.validatePayload(event, data);
+    if (!input.ok) return helpers.sendError(socket, event, input.code, input.message);
+
+    const roomId = socket.roomId;
+    const gs = helpers.getGameState(roomData, roomId);
+    if (!helpers.validateRoomAndGameStage(socket, roomId, gs, gameActions[event].stage, event)) return;
+    const pending = roomData[roomId].takeback;
+    if (pending) {
+        return helpers.sendError(socket, event, validation.ERROR_CODES.TAKEBACK_PENDING,
+            `Waiting for the table to decide on ${pending.player}'s takeback`);
+    }
+
+    const snapshot = takeback.snapshotGame(gs);
+    const result = gameActions[event].apply(roomId, socket.name, input.value);
+    if (result.status === 'error') {
+        return helpers.sendError(socket, event, result.code, result.messages[0]);
+    }
+    noteMove(roomId, socket.name, event, snapshot);
+
+    await persist(roomId);
+}
+
+// ─── Bots ──────────────────────────────────────────────────────────────────
+
+const BOT_DELAY_MS = parseInt(process.env.BOT_DELAY_MS || '1200', 10);
+
+// pending bot move per room (timers are per process and never persisted)
+const botTimers = new Map();
+
+/** The bot the room's game is waiting on, if any (nobody while a takeback is open). */
+function activeBot(roomId) {
+    const gs = roomData[roomId]?.gameState;
+    if (!gs || roomData[roomId].takeback) return null;
+    const active = game.getActivePlayer(gs);
+    return roomData[roomId].lobby.bots.find(b => b.name === active) || null;
+}
+
+/** If a bot is due to act in the room, make its move after a short pause. */
+function scheduleBots(roomId) {
+    if (!cluster.ownsRoom(roomId) || botTimers.has(roomId) || !activeBot(roomId)) return;
+    botTimers.set(roomId, setTimeout(() => {
+        botTimers.delete(roomId);
+        playBotTurn(roomId);
+    }, BOT_DELAY_MS));
+}
+
+function cancelBots(roomId) {
+    clearTimeout(botTimers.get(roomId));
+    botTimers.delete(roomId);
+}
+
+async function playBotTurn(roomId) {
+    const ran = await withRoom(roomId, async () => {
+        const bot = activeBot(roomId);
+        if (!bot) return;
+
+        const gs = roomData[roomId].gameState;
+        const action = bots.chooseAction(gs, bot.name, bot.difficulty);
+        const result = gameActions[action.event].apply(roomId, bot.name, action.data);
+        if (result.status === 'error') {
+            console.error(`Bot ${bot.name} in ${roomId} was refused: ${result.messages[0]}`);
+            return;
         }
+        noteMove(roomId, bot.name, action.event, null);
+
+        await persist(roomId);
+    });
+    if (!ran) scheduleBots(roomId);
+}
+
+// ─── Turn timers ───────────────────────────────────────────────────────────
+
+// pending expiry per room; the deadline itself lives in the game state, so
+// after a restart armTurnTimer picks up where the persisted clock left off
+const turnTimers = new Map();
+
+/** (Re)schedule the expiry of the room's current turnDeadline. */
+function armTurnTimer(roomId) {
+    clearTurnTimer(roomId);
+    const gs = roomData[roomId]?.gameState;
+    if (!gs || roomData[roomId].takeback || !cluster.ownsRoom(roomId)) return;
+    const ms = timers.remainingMs(gs);
+    if (ms === null) return;
+
+    const deadline = gs.public.turnDeadline;
+    turnTimers.set(roomId, setTimeout(() => {
+        turnTimers.delete(roomId);
+        expireTurn(roomId, deadline);
+    }, ms));
+}
+
+function clearTurnTimer(roomId) {
+    clearTimeout(turnTimers.get(roomId));
+    turnTimers.delete(roomId);
+}
+
+/** Out of time: pass the bid or play a legal move for the stalled player. */
+async function expireTurn(roomId, deadline) {
+    const ran = await withRoom(roomId, async () => {
+        const gs = roomData[roomId]?.gameState;
+        if (!gs || roomData[roomId].takeback || !timers.isCurrent(gs, deadline)) return;
+
+        const action = timers.timeoutAction(gs);
+        if (!action) return;
+
+        helpers.sendToRoom(io, roomData, roomId, message('timedOut', { player: deadline.player }));
+        const result = gameActions[action.event].apply(roomId, deadline.player, action.data);
+        if (result.status === 'error') {
+            console.error(`Timeout move for ${deadline.player} in ${roomId} was refused: ${result.messages[0]}`);
+            return;
+        }
+        noteMove(roomId, deadline.player, action.event, null);
+
+        await persist(roomId);
+    });
+    if (!ran) armTurnTimer(roomId);
+}
+
+// ─── Takebacks ─────────────────────────────────────────────────────────────
+// While a request is open the game waits: no moves, no bots, no turn clock.
+// Whatever happens to it, the turn then starts over with a fresh clock.
+
+// pending expiry of the open request per room
+const takebackTimers = new Map();
+
+/** (Re)schedule the expiry of the room's open takeback request. */
+function armTakebackTimer(roomId) {
+    clearTakebackTimer(roomId);
+    const request = roomData[roomId]?.takeback;
+    if (!request || !cluster.ownsRoom(roomId)) return;
+
+    takebackTimers.set(roomId, setTimeout(() => {
+        takebackTimers.delete(roomId);
+        withRoom(roomId, async () => {
+            if (roomData[roomId]?.takeback?.expiresAt !== request.expiresAt) return;
+            settleTakeback(roomId, 'expired');
+            await persist(roomId);
+        });
+    }, Math.max(0, request.expiresAt - Date.now())));
+}
+
+function clearTakebackTimer(roomId) {
+    clearTimeout(takebackTimers.get(roomId));
+    takebackTimers.delete(roomId);
+}
+
+// outcome → the message the room is told
+const TAKEBACK_OUTCOMES = {
+    accepted: 'takebackAccepted',
+    rejected: 'takebackRejected',
+    expired: 'takebackExpired',
+    left: 'takebackLeft',
+};
+
+/**
+ * Close the room's takeback request. 'accepted' puts the game back as it
+ * was before the last move; any other outcome keeps it. Either way the
+ * move can't be asked about again.
+ */
+function settleTakeback(roomId, outcome, by = null) {
+    const room = roomData[roomId];
+    const request = room.takeback;
+    clearTakebackTimer(roomId);
+
+    if (outcome === 'accepted') {
+        const gameState = takeback.restoreGame(room.lastMove.snapshot);
+        gameState.socketMap = room.gameState.socketMap;
+        room.gameState = gameState;
+    }
+    room.takeback = null;
+    room.lastMove = null;
+
+    helpers.sendToRoom(io, roomData, roomId, message(TAKEBACK_OUTCOMES[outcome], { player: request.player, by }));
+    io.to(roomId).emit('takebackResolved', { player: request.player, event: request.event, outcome, by });
+    advanceTurn(roomId);
+}
+
+/**
+ * Exported history of a finished game in the room (latest when gameNumber
+ * is null), or null if it isn't kept any more.
+ */
+function findHistory(roomId, gameNumber) {
+    const kept = roomData[roomId]?.histories || [];
+    if (gameNumber === null) return kept[kept.length - 1] || null;
+    return kept.find(h => h.gameNumber === gameNumber) || null;
+}
+
+function isHost(socket, roomId, event) {
+    if (roomData[roomId].lobby.host === socket.name) return true;
+    helpers.sendError(socket, event, validation.ERROR_CODES.NOT_HOST, 'Only the room host can do that');
+    return false;
+}
+
+function gameInProgress(roomId) {
+    const room = roomData[roomId];
+    const gs = room.gameState;
+    return Boolean(gs && gs.public.stage !== 'gameOver') || room.match?.stage === 'playing';
+}
+
+/** Seats, bots and rules only change between games, and only by the host. */
+function canChangeLobby(socket, roomId, event) {
+    if (!isHost(socket, roomId, event)) return false;
+    if (gameInProgress(roomId)) {
+        helpers.sendError(socket, event, validation.ERROR_CODES.GAME_IN_PROGRESS, 'Wait for the game to finish');
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Only the host starts games, and only once every seated player is
+ * connected and ready.
+ */
+function canStartGame(socket, roomId, event) {
+    if (socket.role === 'spectator') {
+        helpers.sendError(socket, event, validation.ERROR_CODES.NOT_A_PLAYER, 'Spectators cannot start a game');
+        return false;
+    }
+    if (!isHost(socket, roomId, event)) return false;
+
+    releaseAbandonedSeats(roomId);
+    const waiting = lobbies.waitingFor(roomData[roomId].lobby, connectedNames(roomId));
+    if (waiting.length > 0) {
+        helpers.sendError(socket, event, validation.ERROR_CODES.NOT_READY, `Waiting for ${waiting.join(', ')} to be ready`);
+        return false;
+    }
+    return true;
+}
+
+// ─── Ranked matchmaking ───────────────────────────────────────────────────
+
+// socket id → { socketId, playerId, name, rating, since } for every queued player
+const rankedQueue = new Map();
+
+const MATCHMAKING_INTERVAL_MS = 5000;
+
+function sendQueueStatus(socket) {
+    socket.emit('queueStatus', { queued: rankedQueue.has(socket.id), waiting: rankedQueue.size });
+}
+
+/** Open a locked, ranked room with a seat kept for each player in `group`. */
+function createRankedRoom(group) {
+    const roomId = `ranked-${crypto.randomBytes(4).toString('hex')}`;
+    const lobby = lobbies.createLobby();
+    lobby.seats = group.map(entry => entry.name);
+    lobby.locked = true;
+    roomData[roomId] = {
+        ...newRoom(lobby),
+        ranked: true,
+        playerIds: Object.fromEntries(group.map(entry => [entry.name, entry.playerId])),
+    };
+    dropIfUnused(roomId);
+    return roomId;
+}
+
+/** Open a room for every group the queue can make right now. */
+async function runMatchmaking() {
+    let group;
+    while ((group = matchmaking.findGroup([...rankedQueue.values()]))) {
+        group.forEach(entry => rankedQueue.delete(entry.socketId));
+        const roomId = createRankedRoom(group);
+        // saved before anyone is told, so players on any instance can find it
+        await cluster.claimRoom(roomId);
+        await persist(roomId);
+
+        const names = group.map(entry => entry.name);
+        for (const entry of group) io.to(entry.socketId).emit('matchFound', { roomId, players: names });
+        console.log(`Ranked room ${roomId} matched for ${names.join(', ')}`);
     }
 }
 
+// waiting widens the rating window, so the queue is looked at again regularly
+setInterval(runMatchmaking, MATCHMAKING_INTERVAL_MS).unref();
+
+// ─── REST API ─────────────────────────────────────────────────────────────
+// api.js only sees rooms through these functions.
+
+/** Room details anyone may see: no hands, session keys or seat claims. */
+function roomSummary(roomId, room) {
+    const live = roomData[roomId] === room;
+    return {
+        roomId,
+        stage: room.gameState ? room.gameState.public.stage : 'lobby',
+        players: connectedNames(roomId).length,
+        seats: room.lobby.seats.length,
+        bots: room.lobby.bots.length,
+        spectators: live ? Object.keys(room.spectators || {}).length : 0,
+        host: room.lobby.host,
+        locked: room.lobby.locked,
+        ranked: Boolean(room.ranked),
+        gamesPlayed: (room.gameResults || []).length,
+        match: room.match ? room.match.stage : null,
+    };
+}
+
+/** The room in memory, else as stored (without restoring it). */
+async function findRoom(roomId) {
+    return roomData[roomId] || await store.getRoom(roomId);
+}
+
+/** Open an empty room; null when the id is taken. */
+async function createRoom({ roomId, rules }) {
+    const id = roomId || `room-${crypto.randomBytes(4).toString('hex')}`;
+    let created = false;
+    await withRoom(id, async () => {
+        if (await findRoom(id)) return;
+
+        const lobby = lobbies.createLobby();
+        if (rules) lobbies.setRules(lobby, rules);
+        roomData[id] = newRoom(lobby);
+        await cluster.claimRoom(id);
+        dropIfUnused(id);
+        await persist(id);
+        created = true;
+    });
+    return created ? id : null;
+}
+
+/** Send everyone away from a room and delete it, here and in the store. */
+async function closeRoom(roomId) {
+    let closed = false;
+    await withRoom(roomId, async () => {
+        if (!await findRoom(roomId)) return;
+
+        io.to(roomId).emit('roomClosed', { roomId });
+        dropClosedRoom(roomId);
+        if (cluster.enabled) io.serverSideEmit('roomClosed', roomId);
+        await store.deleteRoom(roomId);
+        console.log(`Room ${roomId} closed over the API`);
+        closed = true;
+    });
+    return closed;
+}
+
+/** Take this instance's sockets out of a closed room and forget the room. */
+function dropClosedRoom(roomId) {
+    for (const socketId of io.sockets.adapter.rooms.get(roomId) || []) {
+        const socket = io.sockets.sockets.get(socketId);
+        socket.leave(roomId);
+        socket.leave(languageRoom(roomId, socket.language));
+        socket.roomId = null;
+    }
+    forgetRoom(roomId);
+}
+
+app.use('/api', createApiRouter({
+    store,
+    rooms: {
+        list: () => Object.keys(roomData).map(roomId => roomSummary(roomId, roomData[roomId])),
+        find: findRoom,
+        summarize: roomSummary,
+        connectedNames,
+        create: createRoom,
+        close: closeRoom,
+    },
+}));
+
 // ─── Socket.io ────────────────────────────────────────────────────────────
 
 io.on('connection', (socket) => {
 
-    socket.on('joinRoom', async (data) => {
-        const { roomId, name } = data || {};
-        if (!roomId || !name) return socket.emit('message', 'Missing roomId or name');
+    // Room events are commands (see withRoom), so each room handles one at
+    // a time, in order, even across instances.
+    function onRoomEvent(event, handler) {
+        socket.on(event, async (data) => {
+            const roomId = event === 'joinRoom' ? validation.validatePayload('joinRoom', data).value?.roomId : socket.roomId;
+            if (!await withRoom(roomId, () => handler(data))) {
+                helpers.sendError(socket, event, validation.ERROR_CODES.ROOM_BUSY, 'The room is busy, try again');
+            }
+        });
+    }
+
+    /**
+     * Take the socket out of the room it is in before it joins `nextRoomId`.
+     * Rejoining the same room (under another name) runs inside that room's
+     * command, which saves it. Another room is cleaned up by a command of its
+     * own that isn't awaited: two sockets swapping rooms would otherwise wait
+     * on each other.
+     */
+    function leaveCurrentRoom(nextRoomId) {
+        const { roomId, name, role } = socket;
+        socket.leave(roomId);
+        socket.leave(languageRoom(roomId, socket.language));
+        socket.roomId = null;
+        if (!roomData[roomId]) return;
+        if (roomId === nextRoomId) return removeMember(roomId, name, role);
+
+        withRoom(roomId, async () => {
+            if (!roomData[roomId]) return;
+            removeMember(roomId, name, role);
+            await persist(roomId);
+            if (helpers.clearRoomIfEmpty(io, roomData, roomId)) forgetRoom(roomId);
+        }).then(done => {
+            if (!done) console.error(`Could not take ${name} out of ${roomId}: the room is busy`);
+        }).catch(err => console.error(`Could not take ${name} out of ${roomId}:`, err));
+    }
+
+    onRoomEvent('joinRoom', async (data) => {
+        const input = validation.validatePayload('joinRoom', data);
+        if (!input.ok) return helpers.sendError(socket, 'joinRoom', input.code, input.message);
+        const { roomId, name, spectate, token, language } = input.value;
 
-        // Restore from Redis if this room isn't in memory yet
+        // Restore from the store if this room isn't in memory yet
         await ensureRoom(roomId);
 
+        const lobby = roomData[roomId].lobby;
+        if (lobby.kicked.includes(name)) {
+            return helpers.sendError(socket, 'joinRoom', validation.ERROR_CODES.KICKED, 'The host removed you from this room');
+        }
+
+        // a ranked seat belongs to the registered player it was matched for
+        const reservedFor = roomData[roomId].playerIds?.[name];
+        if (roomData[roomId].ranked && reservedFor && reservedFor !== socket.playerId) {
+            return helpers.sendError(socket, 'joinRoom', validation.ERROR_CODES.NAME_RESERVED,
+                `"${name}" is reserved for a ranked player; identify first.`);
+        }
+
         // Reject if the name is already taken by a currently connected socket
-        const existingSocketId = roomData[roomId].socketMap?.[name];
-        if (existingSocketId && io.sockets.sockets.get(existingSocketId)) {
-            return socket.emit('message', `Name "${name}" is already taken in this room.`);
+        const existingSocketId = roomData[roomId].socketMap?.[name] || roomData[roomId].spectators?.[name];
+        if (lobbies.isBot(lobby, name) || existingSocketId) {
+            return helpers.sendError(socket, 'joinRoom', validation.ERROR_CODES.NAME_TAKEN,
+                `Name "${name}" is already taken in this room.`);
         }
 
+        const gs = helpers.getGameState(roomData, roomId);
+        const seated = Boolean(gs?.playerGameStates?.[name]) && gs.public.stage !== 'gameOver';
+        const gameRunning = Boolean(gs) && gs.public.stage !== 'gameOver';
+
+        // a claimed name can only be used again with its session token
+        const seat = sessions.seatStatus(roomData[roomId], roomId, name, token, seated);
+        if (seat === 'held') {
+            return helpers.sendError(socket, 'joinRoom', validation.ERROR_CODES.SEAT_HELD,
+                `"${name}" is held for the player who left; reconnect with their session token.`);
+        }
+
+        // one room, under one name, in one language at a time
+        if (socket.roomId) leaveCurrentRoom(roomId);
+        socket.language = language || socket.language || DEFAULT_LANGUAGE;
         socket.join(roomId);
+        socket.join(languageRoom(roomId, socket.language));
         socket.roomId = roomId;
         socket.name = name;
 
+        // newcomers can only watch a locked room or a full table
+        if (!gameRunning) releaseAbandonedSeats(roomId);
+        const noSeat = !lobbies.isSeated(lobby, name) && (lobby.locked || lobby.seats.length >= lobbies.MAX_SEATS);
+
+        // watch when asked to, or when a game is running without this name in it
+        if (!seated && (spectate || gameRunning || noSeat)) {
+            socket.role = 'spectator';
+            roomData[roomId].spectators = roomData[roomId].spectators || {};
+            roomData[roomId].spectators[name] = socket.id;
+
+            helpers.sendMessagesTo(socket, roomData[roomId].messages);
+            socket.emit('chatHistory', roomData[roomId].chat);
+            broadcastMembers(roomId);
+            broadcastSpectators(roomId);
+            helpers.sendToRoom(io, roomData, roomId, message('watching', { player: name }));
+            if (noSeat && !spectate && !gameRunning) {
+                helpers.tellSocket(socket, message(lobby.locked ? 'watchOnlyLocked' : 'watchOnlyFull'));
+            }
+
+            if (roomData[roomId].match) socket.emit('matchStateUpdate', roomData[roomId].match);
+            if (gs) socket.emit('spectatorStateUpdate', spectators.spectatorView(gs, roomData[roomId].gameResults, roomData[roomId].stateVersion));
+
+            await persist(roomId);
+            return;
+        }
+        socket.role = 'player';
+
         roomData[roomId].socketMap = roomData[roomId].socketMap || {};
         roomData[roomId].socketMap[name] = socket.id;
+        lobbies.takeSeat(lobby, name);
+
+        if (seat === 'free') sessions.claimSeat(roomData[roomId], roomId, name);
+
+        // profiles and ratings follow the registered player rather than the name
+        roomData[roomId].playerIds = roomData[roomId].playerIds || {};
+        if (socket.playerId) roomData[roomId].playerIds[name] = socket.playerId;
+        else if (!roomData[roomId].ranked) delete roomData[roomId].playerIds[name];
+        sessions.markConnected(roomData[roomId], name);
+        socket.emit('sessionToken', { roomId, name, token: sessions.sessionToken(roomData[roomId], roomId, name) });
 
-        socket.emit('bulkMessage', roomData[roomId].messages);
+        // the first person in an empty room hosts it
+        if (!connectedNames(roomId).includes(lobby.host)) lobby.host = name;
+
+        helpers.sendMessagesTo(socket, roomData[roomId].messages);
         socket.emit('chatHistory', roomData[roomId].chat);
 
-        io.to(roomId).emit('memberList', Object.keys(roomData[roomId].socketMap));
+        broadcastMembers(roomId);
+        broadcastSpectators(roomId);
 
-        helpers.sendToRoom(io, roomData, roomId, `User ${socket.name} joined the room`);
+        helpers.sendToRoom(io, roomData, roomId, message('joined', { player: socket.name }));
         console.log(`User ${socket.name} joined ${roomId}`);
 
-        const gs = helpers.getGameState(roomData, roomId);
+        if (roomData[roomId].match) socket.emit('matchStateUpdate', roomData[roomId].match);
 
         if (gs) {
             // Always keep gameState's socketMap in sync with live session
@@ -94,7 +1103,9 @@ io.on('connection', (socket) => {
                 socket.emit('gameStateUpdate', {
                     public: gs.public,
                     playerGameState: gs.playerGameStates[socket.name],
-					gameResults: roomData[roomId].gameResults
+					gameResults: roomData[roomId].gameResults,
+                    stateVersion: roomData[roomId].stateVersion,
+                    legalMoves: game.getLegalMoves(gs, socket.name),
                 });
                 if (socket.name === gs.public.players[gs.public.turnIndex]) {
                     socket.emit('playerTurn');
@@ -102,166 +1113,552 @@ io.on('connection', (socket) => {
                 await persist(roomId);
                 return;
             }
-            socket.emit('message', 'Game already in progress in this room. You can watch chat.');
         }
 
         await persist(roomId);
     });
 
+    // ── Language ──────────────────────────────────────────────────────────
+    // Game messages are kept as data (see messages.js); switching language
+    // sends the room's history again in the new one.
+
+    onRoomEvent('setLanguage', async (data) => {
+        const input = validation.validatePayload('setLanguage', data);
+        if (!input.ok) return helpers.sendError(socket, 'setLanguage', input.code, input.message);
+
+        const roomId = socket.roomId;
+        if (roomId) socket.leave(languageRoom(roomId, socket.language));
+        socket.language = input.value.language;
+        if (!roomId || !roomData[roomId]) return;
+        socket.join(languageRoom(roomId, socket.language));
+        helpers.sendMessagesTo(socket, roomData[roomId].messages);
+    });
+
+    // ── Players & ranked queue ────────────────────────────────────────────
+
+    /**
+     * A player who registers or identifies while seated has the rest of
+     * their games counted under their player id rather than the name.
+     * Ranked seats already belong to the id they were matched for.
+     */
+    async function linkPlayerToSeat() {
+        const roomId = socket.roomId;
+        if (!roomId || socket.role !== 'player') return;
+        await withRoom(roomId, async () => {
+            const room = roomData[roomId];
+            if (!room || room.ranked) return;
+            room.playerIds = room.playerIds || {};
+            room.playerIds[socket.name] = socket.playerId;
+            await persist(roomId);
+        });
+    }
+
+    socket.on('register', async (data) => {
+        const input = validation.validatePayload('register', data);
+        if (!input.ok) return helpers.sendError(socket, 'register', input.code, input.message);
+
+        const player = players.newPlayer(input.value.name);
+        if (!await store.createPlayer(player.id, player.record)) {
+            return helpers.sendError(socket, 'register', validation.ERROR_CODES.STORAGE_UNAVAILABLE,
+                'Could not save the new player, try again later');
+        }
+        socket.playerId = player.id;
+        await linkPlayerToSeat();
+        socket.emit('playerIdentity', { ...players.publicPlayer(player.id, player.record), token: player.token });
+    });
+
+    socket.on('identify', async (data) => {
+        const input = validation.validatePayload('identify', data);
+        if (!input.ok) return helpers.sendError(socket, 'identify', input.code, input.message);
+
+        const parsed = players.parseToken(input.value.token);
+        const record = parsed && await store.getPlayer(parsed.id);
+        if (!record || !players.secretMatches(record, parsed.secret)) {
+            return helpers.sendError(socket, 'identify', validation.ERROR_CODES.INVALID_PLAYER_TOKEN, 'Unknown player token');
+        }
+        socket.playerId = parsed.id;
+        await linkPlayerToSeat();
+        socket.emit('playerIdentity', players.publicPlayer(parsed.id, record));
+    });
+
+    socket.on('queueJoin', async () => {
+        if (!socket.playerId) {
+            return helpers.sendError(socket, 'queueJoin', validation.ERROR_CODES.NOT_IDENTIFIED,
+                'Register or identify before joining the ranked queue');
+        }
+        const record = await store.getPlayer(socket.playerId);
+        if (!record) {
+            return helpers.sendError(socket, 'queueJoin', validation.ERROR_CODES.STORAGE_UNAVAILABLE,
+                'Could not load your rating, try again later');
+        }
+
+        // one place in the queue per player, whichever tab they queue from
+        for (const [socketId, entry] of rankedQueue) {
+            if (entry.playerId === socket.playerId && socketId !== socket.id) rankedQueue.delete(socketId);
+        }
+        rankedQueue.set(socket.id, {
+            socketId: socket.id,
+            playerId: socket.playerId,
+            name: record.name,
+            rating: Number(record.rating),
+            since: rankedQueue.get(socket.id)?.since ?? Date.now(),
+        });
+        sendQueueStatus(socket);
+        runMatchmaking();
+    });
+
+    socket.on('queueLeave', () => {
+        rankedQueue.delete(socket.id);
+        sendQueueStatus(socket);
+    });
+
     // ── Chat ──────────────────────────────────────────────────────────────
 
-    socket.on('userMessage', async (msg) => {
+    onRoomEvent('userMessage', async (msg) => {
         const roomId = socket.roomId;
-        if (!roomId || !msg.trim()) return;
-        helpers.sendUserMessage(io, roomData, roomId, { name: socket.name, message: msg.trim() });
+        if (!roomId) return helpers.sendError(socket, 'userMessage', validation.ERROR_CODES.NOT_IN_ROOM, 'Not in a room');
+        const input = validation.validatePayload('userMessage', msg);
+        if (!input.ok) return helpers.sendError(socket, 'userMessage', input.code, input.message);
+        helpers.sendUserMessage(io, roomData, roomId, { name: socket.name, message: input.value });
         await persist(roomId);
     });
 
     // ── Disconnect ────────────────────────────────────────────────────────
 
-    socket.on('disconnect', async () => {
+    onRoomEvent('disconnect', async () => {
+        rankedQueue.delete(socket.id);
         const roomId = socket.roomId;
         if (!roomId || !roomData[roomId]) return;
 
-        delete roomData[roomId].socketMap[socket.name];
-        helpers.sendToRoom(io, roomData, roomId, `User ${socket.name} disconnected`);
-        io.to(roomId).emit('memberList', Object.keys(roomData[roomId].socketMap));
+        removeMember(roomId, socket.name, socket.role);
 
-        // Clear in-memory cache immediately if the room is empty.
-        // Redis is intentionally left untouched — it will expire on its own TTL,
+        // Save the updated socketMap, then clear the in-memory cache if
+        // nobody on this instance is left in the room.
+        // The stored room is intentionally left — it will expire on its own TTL,
         // so a player who reconnects before then can still restore their session.
-        // If you ever want eager Redis cleanup, add: await redisStore.deleteRoom(roomId)
-        const wasCleared = helpers.clearRoomIfEmpty(io, roomData, roomId);
-
-        // If the room still has members, persist the updated socketMap
-        if (!wasCleared) await persist(roomId);
+        await persist(roomId);
+        if (helpers.clearRoomIfEmpty(io, roomData, roomId)) forgetRoom(roomId);
     });
 
     // ── Game start ────────────────────────────────────────────────────────
 
-    socket.on('gameStart', async () => {
+    onRoomEvent('gameStart', async () => {
         const roomId = socket.roomId;
-        if (!roomId) return socket.emit('message', 'Not in a room');
-
-        const room = io.sockets.adapter.rooms.get(roomId) || new Set();
-        const players = [...room].map(id => {
-            const s = io.sockets.sockets.get(id);
-            return s && s.name ? { id, name: s.name } : null;
-        }).filter(Boolean);
+        if (!roomId) return helpers.tellSocket(socket, message('notInRoom'));
+        const gs = helpers.getGameState(roomData, roomId);
+        if (gs && gs.public.stage !== 'gameOver') {
+            return helpers.sendError(socket, 'gameStart', validation.ERROR_CODES.GAME_IN_PROGRESS, 'A game is already running');
+        }
+        if (!canStartGame(socket, roomId, 'gameStart')) return;
 
-        if (players.length < 4) return socket.emit('message', 'Need at least 4 players to start');
-        if (players.length > 10) return socket.emit('message', 'Too many players in this room');
+        const match = roomData[roomId].match;
+        if (match && match.stage === 'playing') {
+            startNextHand(roomId, 'gameStart');
+            return persist(roomId);
+        }
 
-        const socketMap = Object.fromEntries(players.map(p => [p.name, p.id]));
-        const gameState = game.initialGameState(players);
-        gameState.socketMap = socketMap;
-        roomData[roomId].gameState = gameState;
+        const players = seatedPlayers(roomId);
 
-        helpers.sendToRoom(io, roomData, roomId, `Game started by ${socket.name}`);
-        helpers.syncGameState(io, roomId, gameState, roomData[roomId].gameResults);
+        if (players.length < lobbies.MIN_SEATS) return helpers.tellSocket(socket, message('needPlayers', { count: lobbies.MIN_SEATS }));
+        if (players.length > lobbies.MAX_SEATS) return helpers.tellSocket(socket, message('tooManyPlayers'));
 
-        const bidder = game.getCurrentBidder(gameState);
-        helpers.sendToRoom(io, roomData, roomId, `${bidder}'s turn to bid`);
+        let gameState;
+        try {
+            gameState = game.initialGameState(players, { rules: roomData[roomId].lobby.rules });
+        } catch (err) {
+            return helpers.sendError(socket, 'gameStart', validation.ERROR_CODES.INVALID_RULES, err.message);
+        }
+        beginGame(roomId, gameState, socket.name);
 
         await persist(roomId);
     });
 
-    // ── Auction ───────────────────────────────────────────────────────────
+    // ── Match ─────────────────────────────────────────────────────────────
 
-    socket.on('bidPlaced', async (bidAmount) => {
+    onRoomEvent('matchStart', async (data) => {
+        const input = validation.validatePayload('matchStart', data);
+        if (!input.ok) return helpers.sendError(socket, 'matchStart', input.code, input.message);
         const roomId = socket.roomId;
+        if (!roomId) return helpers.tellSocket(socket, message('notInRoom'));
+        if (roomData[roomId].match?.stage === 'playing') {
+            return helpers.sendError(socket, 'matchStart', validation.ERROR_CODES.MATCH_IN_PROGRESS,
+                'A match is already being played; start its next hand with gameStart');
+        }
+        if (!canStartGame(socket, roomId, 'matchStart')) return;
+
         const gs = helpers.getGameState(roomData, roomId);
-        if (!helpers.validateRoomAndGameStage(socket, roomId, gs, 'auction')) return;
+        if (gs && gs.public.stage !== 'gameOver') {
+            return helpers.tellSocket(socket, message('finishGameFirst'));
+        }
+
+        const players = seatedPlayers(roomId);
+        if (players.length < lobbies.MIN_SEATS) return helpers.tellSocket(socket, message('needPlayers', { count: lobbies.MIN_SEATS }));
+        if (players.length > lobbies.MAX_SEATS) return helpers.tellSocket(socket, message('tooManyPlayers'));
+
+        // every hand is played by the room's rules, so they must suit the table
+        const rules = roomData[roomId].lobby.rules;
+        try {
+            lobbies.checkRules(roomData[roomId].lobby, players.length);
+        } catch (err) {
+            return helpers.sendError(socket, 'matchStart', validation.ERROR_CODES.INVALID_RULES, err.message);
+        }
+        try {
+            roomData[roomId].match = matches.createMatch(players.map(p => p.name), { ...input.value, rules });
+        } catch (err) {
+            return helpers.sendError(socket, 'matchStart', validation.ERROR_CODES.INVALID_PAYLOAD, err.message);
+        }
+        helpers.sendToRoom(io, roomData, roomId, message('matchStarted', { player: socket.name }));
+        startNextHand(roomId, 'matchStart');
+
+        await persist(roomId);
+    });
+
+    // ── Spectators ────────────────────────────────────────────────────────
+
+    onRoomEvent('spectatorSettings', async (data) => {
+        const input = validation.validatePayload('spectatorSettings', data);
+        if (!input.ok) return helpers.sendError(socket, 'spectatorSettings', input.code, input.message);
+        const roomId = socket.roomId;
+        if (!roomId) return helpers.sendError(socket, 'spectatorSettings', validation.ERROR_CODES.NOT_IN_ROOM, 'Not in a room');
+        if (!isHost(socket, roomId, 'spectatorSettings')) return;
+
+        const { delaySeconds } = input.value;
+        if (roomData[roomId].ranked && delaySeconds !== null) {
+            return helpers.sendError(socket, 'spectatorSettings', validation.ERROR_CODES.RANKED_ROOM, 'Spectators never see hands in ranked rooms');
+        }
+        roomData[roomId].lobby.spectatorDelaySeconds = delaySeconds;
+        helpers.sendToRoom(io, roomData, roomId, delaySeconds === null
+            ? message('spectatorHandsHidden')
+            : message('spectatorDelay', { seconds: delaySeconds }));
+        await persist(roomId);
+    });
+
+    // ── History & replay ──────────────────────────────────────────────────
+
+    onRoomEvent('historyRequested', (data) => {
+        const input = validation.validatePayload('historyRequested', data);
+        if (!input.ok) return helpers.sendError(socket, 'historyRequested', input.code, input.message);
+        if (!socket.roomId) {
+            return helpers.sendError(socket, 'historyRequested', validation.ERROR_CODES.NOT_IN_ROOM, 'Not in a room');
+        }
 
-        const result = game.placeBid(gs, socket.name, bidAmount);
+        const exported = findHistory(socket.roomId, input.value.gameNumber);
+        if (!exported) {
+            return helpers.sendError(socket, 'historyRequested', validation.ERROR_CODES.UNKNOWN_GAME, 'No finished game with that number');
+        }
+        socket.emit('historyExport', exported);
+    });
+
+    onRoomEvent('replayRequested', (data) => {
+        const input = validation.validatePayload('replayRequested', data);
+        if (!input.ok) return helpers.sendError(socket, 'replayRequested', input.code, input.message);
+        if (!socket.roomId) {
+            return helpers.sendError(socket, 'replayRequested', validation.ERROR_CODES.NOT_IN_ROOM, 'Not in a room');
+        }
+
+        const exported = findHistory(socket.roomId, input.value.gameNumber);
+        if (!exported) {
+            return helpers.sendError(socket, 'replayRequested', validation.ERROR_CODES.UNKNOWN_GAME, 'No finished game with that number');
+        }
 
-        if (result.status === 'wrongTurn') {
-            return socket.emit('message', result.messages[0]);
+        const totalSteps = history.actionsOf(exported).length;
+        const step = Math.min(input.value.step ?? totalSteps, totalSteps);
+        let gs;
+        try {
+            gs = history.replay(exported, step);
+        } catch (err) {
+            console.error(`Replay of game ${exported.gameNumber} in ${socket.roomId} failed:`, err);
+            return helpers.sendError(socket, 'replayRequested', validation.ERROR_CODES.UNKNOWN_GAME, 'That game cannot be replayed');
         }
 
-        helpers.bulkSendToRoom(io, roomData, roomId, result.messages);
-        helpers.syncGameState(io, roomId, gs, roomData[roomId].gameResults);
+        socket.emit('replayState', {
+            gameNumber: exported.gameNumber,
+            step,
+            totalSteps,
+            public: gs.public,
+            hands: Object.fromEntries(Object.entries(gs.playerGameStates).map(([name, state]) => [name, state.hand])),
+        });
+    });
+
+    // ── Lobby ─────────────────────────────────────────────────────────────
 
-        if (!result.auctionWon && gs.public.bidders.length > 0) {
-            const next = game.getCurrentBidder(gs);
-            helpers.sendToRoom(io, roomData, roomId, `${next}'s turn to bid`);
+    onRoomEvent('playerReady', async (data) => {
+        const input = validation.validatePayload('playerReady', data);
+        if (!input.ok) return helpers.sendError(socket, 'playerReady', input.code, input.message);
+        const roomId = socket.roomId;
+        if (!roomId) return helpers.sendError(socket, 'playerReady', validation.ERROR_CODES.NOT_IN_ROOM, 'Not in a room');
+        const lobby = roomData[roomId].lobby;
+        if (socket.role === 'spectator' || !lobbies.isSeated(lobby, socket.name)) {
+            return helpers.sendError(socket, 'playerReady', validation.ERROR_CODES.NOT_A_PLAYER, 'Only seated players can be ready');
         }
 
+        lobbies.setReady(lobby, socket.name, input.value.ready);
+        broadcastMembers(roomId);
         await persist(roomId);
     });
 
-    // ── Power suit selection ───────────────────────────────────────────────
+    onRoomEvent('assignSeat', async (data) => {
+        const input = validation.validatePayload('assignSeat', data);
+        if (!input.ok) return helpers.sendError(socket, 'assignSeat', input.code, input.message);
+        const roomId = socket.roomId;
+        if (!roomId) return helpers.sendError(socket, 'assignSeat', validation.ERROR_CODES.NOT_IN_ROOM, 'Not in a room');
+        if (!canChangeLobby(socket, roomId, 'assignSeat')) return;
+
+        const lobby = roomData[roomId].lobby;
+        const { name, seat } = input.value;
+        if (!lobbies.isSeated(lobby, name)) {
+            return helpers.sendError(socket, 'assignSeat', validation.ERROR_CODES.UNKNOWN_PLAYER, `${name} has no seat`);
+        }
+        if (seat >= lobby.seats.length) {
+            return helpers.sendError(socket, 'assignSeat', validation.ERROR_CODES.INVALID_SEAT,
+                `Seats go from 0 to ${lobby.seats.length - 1}`);
+        }
+
+        lobbies.moveSeat(lobby, name, seat);
+        broadcastMembers(roomId);
+        await persist(roomId);
+    });
 
-    socket.on('powerSuitSelected', async (selectedSuit) => {
+    onRoomEvent('kickPlayer', async (data) => {
+        const input = validation.validatePayload('kickPlayer', data);
+        if (!input.ok) return helpers.sendError(socket, 'kickPlayer', input.code, input.message);
         const roomId = socket.roomId;
-        const gs = helpers.getGameState(roomData, roomId);
-        if (!helpers.validateRoomAndGameStage(socket, roomId, gs, 'powerSuitSelection')) return;
+        if (!roomId) return helpers.sendError(socket, 'kickPlayer', validation.ERROR_CODES.NOT_IN_ROOM, 'Not in a room');
+        if (roomData[roomId].ranked) {
+            return helpers.sendError(socket, 'kickPlayer', validation.ERROR_CODES.RANKED_ROOM, 'Ranked tables keep the players they were matched with');
+        }
+        if (!canChangeLobby(socket, roomId, 'kickPlayer')) return;
+
+        const room = roomData[roomId];
+        const { name } = input.value;
+        const socketId = room.socketMap?.[name] || room.spectators?.[name];
+        const known = (lobbies.isSeated(room.lobby, name) || socketId) && !lobbies.isBot(room.lobby, name);
+        if (!known || name === socket.name) {
+            return helpers.sendError(socket, 'kickPlayer', validation.ERROR_CODES.UNKNOWN_PLAYER, `Cannot remove ${name}`);
+        }
 
-        const result = game.selectPowerSuit(gs, socket.name, selectedSuit);
-        helpers.bulkSendToRoom(io, roomData, roomId, result.messages);
-        helpers.syncGameState(io, roomId, gs, roomData[roomId].gameResults);
+        lobbies.kick(room.lobby, name);
+        sessions.releaseSeat(room, name);
+        if (socketId) {
+            // the kicked socket may be connected to another instance
+            helpers.sendError(io.to(socketId), 'kickPlayer', validation.ERROR_CODES.KICKED, 'The host removed you from this room');
+            io.in(socketId).disconnectSockets(true);
+        }
 
+        helpers.sendToRoom(io, roomData, roomId, message('playerRemoved', { player: socket.name, name }));
+        broadcastMembers(roomId);
         await persist(roomId);
     });
 
-    // ── Partner selection ─────────────────────────────────────────────────
+    onRoomEvent('lockRoom', async (data) => {
+        const input = validation.validatePayload('lockRoom', data);
+        if (!input.ok) return helpers.sendError(socket, 'lockRoom', input.code, input.message);
+        const roomId = socket.roomId;
+        if (!roomId) return helpers.sendError(socket, 'lockRoom', validation.ERROR_CODES.NOT_IN_ROOM, 'Not in a room');
+        if (!isHost(socket, roomId, 'lockRoom')) return;
+
+        roomData[roomId].lobby.locked = input.value.locked;
+        helpers.sendToRoom(io, roomData, roomId, message(input.value.locked ? 'roomLocked' : 'roomUnlocked'));
+        broadcastMembers(roomId);
+        await persist(roomId);
+    });
 
-    socket.on('partnersSelected', async (cards) => {
+    onRoomEvent('roomRules', async (data) => {
+        const input = validation.validatePayload('roomRules', data);
+        if (!input.ok) return helpers.sendError(socket, 'roomRules', input.code, input.message);
         const roomId = socket.roomId;
-        const gs = helpers.getGameState(roomData, roomId);
-        if (!helpers.validateRoomAndGameStage(socket, roomId, gs, 'partnerSelection')) return;
+        if (!roomId) return helpers.sendError(socket, 'roomRules', validation.ERROR_CODES.NOT_IN_ROOM, 'Not in a room');
+        if (roomData[roomId].ranked) {
+            return helpers.sendError(socket, 'roomRules', validation.ERROR_CODES.RANKED_ROOM, 'Ranked games are played by the default rules');
+        }
+        if (!canChangeLobby(socket, roomId, 'roomRules')) return;
 
-        const result = game.selectPartners(gs, socket.name, cards);
+        const lobby = roomData[roomId].lobby;
+        try {
+            lobbies.setRules(lobby, input.value.rules);
+        } catch (err) {
+            return helpers.sendError(socket, 'roomRules', validation.ERROR_CODES.INVALID_RULES, err.message);
+        }
+        // everyone agrees to the new rules by readying up again
+        lobbies.resetReady(lobby);
 
-        if (result.status === 'error') {
-            return socket.emit('message', result.messages[0]);
+        helpers.sendToRoom(io, roomData, roomId, message('rulesChanged', { player: socket.name }));
+        broadcastMembers(roomId);
+        await persist(roomId);
+    });
+
+    // ── Bots ──────────────────────────────────────────────────────────────
+
+    onRoomEvent('addBot', async (data) => {
+        const input = validation.validatePayload('addBot', data);
+        if (!input.ok) return helpers.sendError(socket, 'addBot', input.code, input.message);
+        const roomId = socket.roomId;
+        if (!roomId) return helpers.sendError(socket, 'addBot', validation.ERROR_CODES.NOT_IN_ROOM, 'Not in a room');
+        if (roomData[roomId].ranked) {
+            return helpers.sendError(socket, 'addBot', validation.ERROR_CODES.BOTS_DISABLED, 'Ranked games are played without bots');
+        }
+        if (!canChangeLobby(socket, roomId, 'addBot')) return;
+
+        const { difficulty } = input.value;
+        const room = roomData[roomId];
+        const taken = new Set([...room.lobby.seats, ...Object.keys(room.socketMap || {}), ...Object.keys(room.spectators || {})]);
+        let n = 1;
+        while (taken.has(`Bot ${n}`)) n++;
+        const bot = { name: `Bot ${n}`, difficulty };
+        if (!lobbies.takeSeat(room.lobby, bot.name)) {
+            return helpers.sendError(socket, 'addBot', validation.ERROR_CODES.ROOM_FULL, 'Too many players in this room');
         }
+        room.lobby.bots.push(bot);
 
-        helpers.bulkSendToRoom(io, roomData, roomId, result.messages);
-        helpers.syncGameState(io, roomId, gs, roomData[roomId].gameResults);
-        helpers.announcePlayerTurn(io, roomData, roomId, gs);
+        helpers.sendToRoom(io, roomData, roomId, message('botAdded', { player: socket.name, bot: bot.name, difficulty }));
+        broadcastMembers(roomId);
+        await persist(roomId);
+    });
+
+    onRoomEvent('removeBot', async (data) => {
+        const input = validation.validatePayload('removeBot', data);
+        if (!input.ok) return helpers.sendError(socket, 'removeBot', input.code, input.message);
+        const roomId = socket.roomId;
+        if (!roomId) return helpers.sendError(socket, 'removeBot', validation.ERROR_CODES.NOT_IN_ROOM, 'Not in a room');
+        if (!canChangeLobby(socket, roomId, 'removeBot')) return;
+
+        const lobby = roomData[roomId].lobby;
+        const bot = lobby.bots.find(b => b.name === input.value.name);
+        if (!bot) return helpers.sendError(socket, 'removeBot', validation.ERROR_CODES.UNKNOWN_BOT, 'No such bot');
+        lobbies.leaveSeat(lobby, bot.name);
 
+        helpers.sendToRoom(io, roomData, roomId, message('botRemoved', { player: socket.name, bot: bot.name }));
+        broadcastMembers(roomId);
         await persist(roomId);
     });
 
+    /**
+     * Deal the next hand of the room's match to the seated match players,
+     * answering `event` if it can't be dealt yet.
+     */
+    function startNextHand(roomId, event) {
+        const match = roomData[roomId].match;
+        if (match.handInProgress) return helpers.tellSocket(socket, message('handInProgress'));
+
+        const connected = new Set([...connectedNames(roomId), ...roomData[roomId].lobby.bots.map(b => b.name)]);
+        const missing = match.players.filter(p => !connected.has(p));
+        if (missing.length > 0) return helpers.tellSocket(socket, message('waitingFor', { players: missing }));
+
+        let gameState;
+        try {
+            gameState = matches.startHand(match);
+        } catch (err) {
+            return helpers.sendError(socket, event, validation.ERROR_CODES.INVALID_RULES, err.message);
+        }
+        helpers.sendToRoom(io, roomData, roomId, message('handDealt', { hand: match.handNumber, player: match.players[match.dealerIndex] }));
+        beginGame(roomId, gameState, socket.name);
+    }
+
+    // ── Auction ───────────────────────────────────────────────────────────
+
+    onRoomEvent('bidPlaced', (data) => handleSocketAction(socket, 'bidPlaced', data));
+
+    // ── Power suit selection ───────────────────────────────────────────────
+
+    onRoomEvent('powerSuitSelected', (data) => handleSocketAction(socket, 'powerSuitSelected', data));
+
+    // ── Partner selection ─────────────────────────────────────────────────
+
+    onRoomEvent('partnersSelected', (data) => handleSocketAction(socket, 'partnersSelected', data));
+
+    // ── Doubling ──────────────────────────────────────────────────────────
+
+    onRoomEvent('doubleCalled', (data) => handleSocketAction(socket, 'doubleCalled', data));
+
     // ── Card played ───────────────────────────────────────────────────────
 
-    socket.on('cardPlayed', async (card) => {
+    onRoomEvent('cardPlayed', (data) => handleSocketAction(socket, 'cardPlayed', data));
+
+    // ── Hints ─────────────────────────────────────────────────────────────
+    // The move the hard bot would make in the player's place. It only looks
+    // at the player's own hand and the public state (see bots.js).
+
+    onRoomEvent('hintRequested', async () => {
         const roomId = socket.roomId;
         const gs = helpers.getGameState(roomData, roomId);
-        if (!helpers.validateRoomAndGameStage(socket, roomId, gs, 'playing')) return;
-
-        const result = game.playCard(gs, socket.name, card);
-        if (result.status === 'error') {
-            return socket.emit('message', result.messages[0]);
+        if (!roomId) return helpers.sendError(socket, 'hintRequested', validation.ERROR_CODES.NOT_IN_ROOM, 'Not in a room');
+        if (!gs) return helpers.sendError(socket, 'hintRequested', validation.ERROR_CODES.NO_GAME, 'No ongoing game in this room.');
+        if (roomData[roomId].ranked) {
+            return helpers.sendError(socket, 'hintRequested', validation.ERROR_CODES.HINTS_DISABLED, 'Hints are off in ranked rooms');
         }
+        if (socket.role !== 'player' || game.getActivePlayer(gs) !== socket.name) {
+            return helpers.sendError(socket, 'hintRequested', validation.ERROR_CODES.NOT_YOUR_TURN, 'Hints are for the player whose turn it is');
+        }
+        socket.emit('hint', bots.chooseAction(gs, socket.name, 'hard'));
+    });
+
+    // ── Takebacks ─────────────────────────────────────────────────────────
+    // A player may ask to undo their own last move until anyone moves again;
+    // the other humans still at the table vote on it (see takeback.js).
+
+    onRoomEvent('takebackRequested', async () => {
+        const roomId = socket.roomId;
+        const gs = helpers.getGameState(roomData, roomId);
+        if (!roomId) return helpers.sendError(socket, 'takebackRequested', validation.ERROR_CODES.NOT_IN_ROOM, 'Not in a room');
+        if (!gs) return helpers.sendError(socket, 'takebackRequested', validation.ERROR_CODES.NO_GAME, 'No ongoing game in this room.');
 
-        if (gs.public.stage === 'gameOver') {
-            roomData[roomId].gameResults = roomData[roomId].gameResults || [];
-            roomData[roomId].gameResults.push({
-                highestBid: gs.public.highestBid,
-                highestBidder: gs.public.highestBidder,
-                gameWinners: gs.public.gameWinners,
-				gameLosers: gs.public.players.filter(p => !gs.public.gameWinners.includes(p))
-            });
+        const room = roomData[roomId];
+        if (room.takeback) {
+            return helpers.sendError(socket, 'takebackRequested', validation.ERROR_CODES.TAKEBACK_PENDING,
+                `Waiting for the table to decide on ${room.takeback.player}'s takeback`);
+        }
+        if (socket.role !== 'player' || room.lastMove?.player !== socket.name) {
+            return helpers.sendError(socket, 'takebackRequested', validation.ERROR_CODES.NOTHING_TO_TAKE_BACK,
+                'Only your own last move can be taken back, before anyone moves again');
         }
 
-        helpers.bulkSendToRoom(io, roomData, roomId, result.messages);
-        helpers.syncGameState(io, roomId, gs, roomData[roomId].gameResults);
+        const connected = connectedNames(roomId);
+        const voters = gs.public.players.filter(name => name !== socket.name && connected.includes(name));
+        room.takeback = takeback.openRequest(room.lastMove, voters);
+        if (voters.length === 0) {
+            settleTakeback(roomId, 'accepted');
+        } else {
+            cancelBots(roomId);
+            clearTurnTimer(roomId);
+            armTakebackTimer(roomId);
+            helpers.sendToRoom(io, roomData, roomId, message('takebackAsked', { player: socket.name }));
+            io.to(roomId).emit('takebackUpdate', room.takeback);
+        }
+        await persist(roomId);
+    });
 
-        io.to(roomId).emit('cardPlayed', { playerName: socket.name, card });
+    onRoomEvent('takebackVote', async (data) => {
+        const input = validation.validatePayload('takebackVote', data);
+        if (!input.ok) return helpers.sendError(socket, 'takebackVote', input.code, input.message);
+        const roomId = socket.roomId;
+        if (!roomId) return helpers.sendError(socket, 'takebackVote', validation.ERROR_CODES.NOT_IN_ROOM, 'Not in a room');
 
-        if (gs.public.stage === 'playing') {
-            helpers.announcePlayerTurn(io, roomData, roomId, gs);
+        const request = roomData[roomId].takeback;
+        if (!request) return helpers.sendError(socket, 'takebackVote', validation.ERROR_CODES.NO_TAKEBACK, 'There is no takeback to vote on');
+        if (socket.role !== 'player' || !request.voters.includes(socket.name)) {
+            return helpers.sendError(socket, 'takebackVote', validation.ERROR_CODES.NOT_A_VOTER,
+                'Only the other players at the table vote on a takeback');
         }
 
+        const outcome = takeback.castVote(request, socket.name, input.value.accept);
+        if (outcome === 'pending') io.to(roomId).emit('takebackUpdate', request);
+        else settleTakeback(roomId, outcome, socket.name);
         await persist(roomId);
     });
 
 });
 
 // ─── Start server ──────────────────────────────────────────────────────────
+// Only when run directly; the tests require this file and listen on a port
+// of their own.
 
-server.listen(port, '0.0.0.0', () => {
-    console.log(`Server running at ${port}`);
-});
+if (require.main === module) {
+    if (!process.env.SESSION_SECRET) {
+        console.warn('SESSION_SECRET is not set; session tokens are only as safe as the room store');
+    }
+    server.listen(port, '0.0.0.0', () => {
+        console.log(`Server running at ${port}`);
+    });
+}
+
+module.exports = { app, server, io, store };
@@ -0,0 +1,165 @@
+// lobby.js
+// Everything about a room between games: who hosts it, who sits where,
+// whether it is locked, who is ready, and the house rules its games use.
+// It lives in roomData[roomId].lobby and is persisted with the room.
+//
+// Seats hold human and bot names in table order; that order is the order
+// players are dealt in. Humans keep their seat while they are disconnected,
+// so a dropped player can't start a game but comes back to the same place.
+
+const { resolveRules, checkTable } = require('./rules');
+
+const MIN_SEATS = 4;
+const MAX_SEATS = 10;
+
+function createLobby() {
+    return {
+        host: null,
+        seats: [],      // names in table order, humans and bots
+        bots: [],       // { name, difficulty } for the bot seats
+        ready: [],      // humans who confirmed the ready check
+        locked: false,  // locked rooms seat nobody new
+        kicked: [],     // names the host removed; refused from then on
+        rules: {},      // rules.js overrides for every game in the room
+        spectatorDelaySeconds: null,
+    };
+}
+
+/**
+ * The lobby of a stored room, with defaults for anything missing. Rooms
+ * saved before lobbies existed kept host, bots and the spectator delay on
+ * the room itself; those are moved in here.
+ */
+function restoreLobby(room) {
+    const lobby = { ...createLobby(), ...room.lobby };
+    if (!room.lobby) {
+        lobby.host = room.host || null;
+        lobby.bots = room.bots || [];
+        lobby.spectatorDelaySeconds = room.spectatorDelaySeconds ?? null;
+        lobby.seats = [...Object.keys(room.socketMap || {}), ...lobby.bots.map(b => b.name)];
+        delete room.host;
+        delete room.bots;
+        delete room.spectatorDelaySeconds;
+    }
+    return lobby;
+}
+
+function isBot(lobby, name) {
+    return lobby.bots.some(b => b.name === name);
+}
+
+function isSeated(lobby, name) {
+    return lobby.seats.includes(name);
+}
+
+/** Give `name` the next free seat. Returns false if the table is full. */
+function takeSeat(lobby, name) {
+    if (isSeated(lobby, name)) return true;
+    if (lobby.seats.length >= MAX_SEATS) return false;
+    lobby.seats.push(name);
+    return true;
+}
+
+function leaveSeat(lobby, name) {
+    lobby.seats = lobby.seats.filter(n => n !== name);
+    lobby.bots = lobby.bots.filter(b => b.name !== name);
+    setReady(lobby, name, false);
+}
+
+/** Move `name` to seat `index`, shifting everyone in between. */
+function moveSeat(lobby, name, index) {
+    const seats = lobby.seats.filter(n => n !== name);
+    seats.splice(index, 0, name);
+    lobby.seats = seats;
+}
+
+/** Remove `name` from the table for good. */
+function kick(lobby, name) {
+    leaveSeat(lobby, name);
+    if (!lobby.kicked.includes(name)) lobby.kicked.push(name);
+    if (lobby.host === name) lobby.host = null;
+}
+
+function setReady(lobby, name, ready) {
+    lobby.ready = lobby.ready.filter(n => n !== name);
+    if (ready) lobby.ready.push(name);
+}
+
+/** Everyone has to confirm again, e.g. after a game starts or the rules change. */
+function resetReady(lobby) {
+    lobby.ready = [];
+}
+
+/**
+ * Seated humans a game is still waiting on: anyone disconnected or not
+ * ready. Bots are always ready.
+ */
+function waitingFor(lobby, connectedNames) {
+    return lobby.seats.filter(name =>
+        !isBot(lobby, name) && (!connectedNames.includes(name) || !lobby.ready.includes(name))
+    );
+}
+
+/** First connected human in seat order, to take over hosting. */
+function nextHost(lobby, connectedNames) {
+    return lobby.seats.find(name => connectedNames.includes(name) && !isBot(lobby, name)) ||
+        connectedNames[0] || null;
+}
+
+/**
+ * Change the room's rules. `overrides` are merged onto the current ones and
+ * checked by rules.js against the deck for the seats taken (at least
+ * MIN_SEATS); it throws on an invalid value or a table they can't deal.
+ */
+function setRules(lobby, overrides) {
+    const merged = { ...lobby.rules, ...overrides };
+    checkTable(resolveRules(merged), Math.max(lobby.seats.length, MIN_SEATS));
+    lobby.rules = merged;
+}
+
+/** Throws if the room's rules can't deal a game to `playerCount` players. */
+function checkRules(lobby, playerCount) {
+    checkTable(resolveRules(lobby.rules), playerCount);
+}
+
+/** What clients see of the lobby. */
+function lobbyView(lobby, connectedNames) {
+    return {
+        host: lobby.host,
+        seats: lobby.seats.map((name, seat) => {
+            const bot = lobby.bots.find(b => b.name === name);
+            return {
+                seat,
+                name,
+                bot: Boolean(bot),
+                difficulty: bot ? bot.difficulty : null,
+                connected: Boolean(bot) || connectedNames.includes(name),
+                ready: Boolean(bot) || lobby.ready.includes(name),
+            };
+        }),
+        bots: lobby.bots,
+        locked: lobby.locked,
+        rules: resolveRules(lobby.rules),
+        spectatorDelaySeconds: lobby.spectatorDelaySeconds,
+    };
+}
+
+module.exports = {
+    MIN_SEATS,
+    MAX_SEATS,
+    createLobby,
+    restoreLobby,
+    isBot,
+    isSeated,
+    takeSeat,
+    leaveSeat,
+    moveSeat,
+    kick,
+    setReady,
+    resetReady,
+    waitingFor,
+    nextHost,
+    setRules,
+    checkRules,
+    lobbyView,
+};
@@ -0,0 +1,157 @@
+// match.js
+// A match is a series of hands between the same players. It rotates the
+// dealer (and with it the first bidder), awards points for every finished
+// hand and ends at a target score or after a fixed number of hands.
+// The match object is plain JSON so it can be persisted and sent as-is.
+
+const game = require('./game');
+const { resolveRules } = require('./rules');
+
+/**
+ * Per-hand scoring formulas. Each gets the hand summary and returns the
+ * points for every member of the bidding team and of the defending team.
+ * A doubled or redoubled hand multiplies whatever the formula awards.
+ */
+const SCORING_FORMULAS = {
+    // bidding team scores the bid when they make it, nothing otherwise
+    bid: ({ bid, made }) => ({ bidders: made ? bid : 0, defenders: 0 }),
+    // as 'bid', but the bidding team loses the bid when they fail
+    bidPenalty: ({ bid, made }) => ({ bidders: made ? bid : -bid, defenders: 0 }),
+    // whoever wins the hand scores the bid amount
+    winnerTakesBid: ({ bid, made }) => ({ bidders: made ? bid : 0, defenders: made ? 0 : bid }),
+    // each team scores the card points it captured
+    points: ({ bidderPoints, defenderPoints }) => ({ bidders: bidderPoints, defenders: defenderPoints }),
+};
+
+const DEFAULT_MATCH_CONFIG = {
+    scoring: 'bid',
+    targetScore: 500, // null to play a fixed number of hands only
+    maxHands: null,   // null to play until someone reaches targetScore
+    rules: {},        // rules.js overrides used for every hand
+};
+
+function resolveMatchConfig(overrides = {}) {
+    const config = { ...DEFAULT_MATCH_CONFIG };
+    for (const key of Object.keys(DEFAULT_MATCH_CONFIG)) {
+        if (overrides?.[key] !== undefined) config[key] = overrides[key];
+    }
+
+    if (!SCORING_FORMULAS[config.scoring]) {
+        throw new Error(`Unknown scoring formula "${config.scoring}"`);
+    }
+    for (const key of ['targetScore', 'maxHands']) {
+        if (config[key] !== null && !(Number.isInteger(config[key]) && config[key] > 0)) {
+            throw new Error(`${key} must be a positive integer or null`);
+        }
+    }
+    if (config.targetScore === null && config.maxHands === null) {
+        throw new Error('A match needs a targetScore or maxHands');
+    }
+    return config;
+}
+
+/**
+ * Create a match for the given seat order (array of player names).
+ * Throws on an invalid config.
+ */
+function createMatch(players, config) {
+    const resolved = resolveMatchConfig(config);
+    const fixedTeams = resolveRules(resolved.rules).teamMode === 'fixed';
+    if (fixedTeams && players.length % 2 !== 0) throw new Error('Fixed teams need an even number of players');
+    return {
+        players: [...players],
+        config: resolved,
+        // with fixed teams the seats never change, so neither do the teams
+        teams: fixedTeams ? game.fixedTeams(players) : null,
+        stage: 'playing', // 'playing' | 'finished'
+        handNumber: 0,
+        dealerIndex: 0,
+        handInProgress: false,
+        scores: Object.fromEntries(players.map(p => [p, 0])),
+        hands: [],
+        winners: null,
+        winningTeam: null,
+    };
+}
+
+/**
+ * Deal the next hand of the match. The dealer moves one seat to the left
+ * after every hand, so the first bidder rotates with it. If the hand can't
+ * be dealt (the rules don't suit the table), the match is left as it was.
+ */
+function startHand(match) {
+    if (match.stage !== 'playing') throw new Error('Match is already finished');
+    if (match.handInProgress) throw new Error('The current hand is not finished yet');
+
+    const dealerIndex = match.handNumber % match.players.length;
+    const gameState = game.initialGameState(
+        match.players.map(name => ({ name })),
+        { rules: match.config.rules, dealerIndex }
+    );
+
+    match.dealerIndex = dealerIndex;
+    match.handNumber += 1;
+    match.handInProgress = true;
+    return gameState;
+}
+
+/**
+ * Score a finished hand and check whether the match is over.
+ * Returns the hand summary that was appended to match.hands.
+ */
+function recordHand(match, gameState) {
+    const pub = gameState.public;
+    if (pub.stage !== 'gameOver') throw new Error('Hand is not finished');
+
+    const bidders = [...gameState.alpha];
+    const defenders = match.players.filter(p => !gameState.alpha.has(p));
+    const made = gameState.alphaScore >= pub.highestBid;
+
+    const award = SCORING_FORMULAS[match.config.scoring]({
+        bid: pub.highestBid,
+        made,
+        bidderPoints: gameState.alphaScore,
+        defenderPoints: gameState.betaScore,
+    });
+
+    const multiplier = pub.multiplier || 1;
+    const points = {};
+    for (const p of bidders) points[p] = award.bidders * multiplier;
+    for (const p of defenders) points[p] = award.defenders * multiplier;
+    for (const [p, delta] of Object.entries(points)) match.scores[p] += delta;
+
+    const summary = {
+        handNumber: match.handNumber,
+        dealer: match.players[match.dealerIndex],
+        bidder: pub.highestBidder,
+        biddingTeam: game.teamOf(match, pub.highestBidder),
+        bid: pub.highestBid,
+        made,
+        bidders,
+        defenders,
+        points,
+    };
+    match.hands.push(summary);
+    match.handInProgress = false;
+
+    const { targetScore, maxHands } = match.config;
+    const top = Math.max(...Object.values(match.scores));
+    if ((targetScore !== null && top >= targetScore) ||
+        (maxHands !== null && match.handNumber >= maxHands)) {
+        match.stage = 'finished';
+        match.winners = match.players.filter(p => match.scores[p] === top);
+        // teammates always score alike, so a single winning team is common
+        const winningTeams = new Set(match.winners.map(p => game.teamOf(match, p)));
+        match.winningTeam = winningTeams.size === 1 ? [...winningTeams][0] : null;
+    }
+
+    return summary;
+}
+
+module.exports = {
+    SCORING_FORMULAS,
+    DEFAULT_MATCH_CONFIG,
+    createMatch,
+    startHand,
+    recordHand,
+};
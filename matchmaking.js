@@ -0,0 +1,47 @@
+// matchmaking.js
+// Ranked matchmaking. Waiting players are grouped by rating into a table of
+// QUEUE_TABLE_SIZE (default 6); index.js then opens a ranked room for them.
+// The rating spread a group may have widens the longer its longest-waiting
+// player has been queued, and smaller tables (down to the 4-player minimum)
+// are only made once someone has waited QUEUE_FILL_SECONDS.
+
+const { MIN_SEATS, MAX_SEATS } = require('./lobby');
+
+const QUEUE_TABLE_SIZE = Math.min(MAX_SEATS, Math.max(MIN_SEATS, parseInt(process.env.QUEUE_TABLE_SIZE || '6', 10)));
+const QUEUE_FILL_SECONDS = parseInt(process.env.QUEUE_FILL_SECONDS || '30', 10);
+
+// rating spread allowed in a group: BASE_SPREAD, plus SPREAD_PER_SECOND
+// for every second waited, up to MAX_SPREAD
+const BASE_SPREAD = 100;
+const SPREAD_PER_SECOND = 10;
+const MAX_SPREAD = 1000;
+
+function allowedSpread(waitedMs) {
+    return Math.min(MAX_SPREAD, BASE_SPREAD + SPREAD_PER_SECOND * (waitedMs / 1000));
+}
+
+/**
+ * The first group that can play, or null. `waiting` holds queue entries
+ * ({ name, rating, since, ... }); a group is a run of entries with close
+ * ratings and distinct names. Full tables are preferred.
+ */
+function findGroup(waiting, now = Date.now(), tableSize = QUEUE_TABLE_SIZE) {
+    const sorted = [...waiting].sort((a, b) => a.rating - b.rating);
+    for (let size = Math.min(tableSize, sorted.length); size >= MIN_SEATS; size--) {
+        for (let i = 0; i + size <= sorted.length; i++) {
+            const group = sorted.slice(i, i + size);
+            const waited = now - Math.min(...group.map(e => e.since));
+            if (size < tableSize && waited < QUEUE_FILL_SECONDS * 1000) continue;
+            if (new Set(group.map(e => e.name)).size < size) continue;
+            if (group[size - 1].rating - group[0].rating <= allowedSpread(waited)) return group;
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    QUEUE_TABLE_SIZE,
+    QUEUE_FILL_SECONDS,
+    allowedSpread,
+    findGroup,
+};
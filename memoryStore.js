@@ -0,0 +1,167 @@
+// memoryStore.js
+// Store backend that keeps everything in this process (see store.js), for
+// development, tests and single servers whose rooms needn't outlive a
+// restart. The store itself is built on a small document interface so the
+// file backend (fileStore.js) can share it:
+//
+//   docs.get(key)         → the stored object, or null
+//   docs.update(key, fn)  → fn(current or null) returns the new object,
+//                           null to delete it, or undefined to leave it;
+//                           updates of one key never interleave
+//
+// Rooms are stored serialized, like in Redis, so a loaded room never shares
+// objects with the live one.
+
+const { serializeRoom, deserializeRoom } = require('./serialization');
+
+/** Locks that only this process sees: key → { token, expiresAt }. */
+function createLocalLocks() {
+    const locks = new Map();
+    const heldBy = (key) => {
+        const lock = locks.get(key);
+        return lock && lock.expiresAt > Date.now() ? lock.token : null;
+    };
+
+    return {
+        async acquireLock(key, token, ms) {
+            if (heldBy(key)) return false;
+            locks.set(key, { token, expiresAt: Date.now() + ms });
+            return true;
+        },
+        async renewLock(key, token, ms) {
+            if (heldBy(key) !== token) return false;
+            locks.set(key, { token, expiresAt: Date.now() + ms });
+            return true;
+        },
+        async releaseLock(key, token) {
+            if (heldBy(key) === token) locks.delete(key);
+        },
+    };
+}
+
+/** The full store interface on top of `docs`; `name` is used in logs. */
+function createDocumentStore(name, docs, { roomTtlSeconds }) {
+    const roomKey = (roomId) => `room:${roomId}`;
+    const profileKey = (playerName) => `profile:${playerName}`;
+    const playerKey = (id) => `player:${id}`;
+    const isLive = (entry) => Boolean(entry) && entry.expiresAt > Date.now();
+
+    // failures are logged and answered like a missing value, as in Redis
+    async function attempt(what, fallback, fn) {
+        try {
+            return await fn();
+        } catch (err) {
+            console.error(`${name} store ${what} error:`, err);
+            return fallback;
+        }
+    }
+
+    // ─── Rooms ────────────────────────────────────────────────────────────
+    // { json, version, expiresAt } per room; see redisClient.js for versions
+
+    const getRoom = (roomId) => attempt(`getRoom ${roomId}`, null, async () => {
+        const entry = await docs.get(roomKey(roomId));
+        if (!isLive(entry)) {
+            if (entry) await docs.update(roomKey(roomId), e => (isLive(e) ? undefined : null));
+            return null;
+        }
+        const room = deserializeRoom(entry.json);
+        room.version = entry.version;
+        return room;
+    });
+
+    const getRoomVersion = (roomId) => attempt(`getRoomVersion ${roomId}`, null, async () => {
+        const entry = await docs.get(roomKey(roomId));
+        return isLive(entry) ? entry.version : 0;
+    });
+
+    const setRoom = (roomId, room) => attempt(`setRoom ${roomId}`, false, async () => {
+        const json = serializeRoom(room);
+        if (!json) return false;
+        let saved = null;
+        await docs.update(roomKey(roomId), (entry) => {
+            const current = isLive(entry) ? entry.version : 0;
+            if (current !== (room.version || 0)) return undefined;
+            saved = current + 1;
+            return { json, version: saved, expiresAt: Date.now() + roomTtlSeconds * 1000 };
+        });
+        if (saved === null) {
+            console.error(`Room ${roomId} was saved elsewhere since version ${room.version || 0}; not saved`);
+            return false;
+        }
+        room.version = saved;
+        return true;
+    });
+
+    const deleteRoom = (roomId) => attempt(`deleteRoom ${roomId}`, undefined,
+        () => docs.update(roomKey(roomId), () => null));
+
+    // ─── Player profiles ──────────────────────────────────────────────────
+    // counter objects, like the Redis hashes (see profiles.js)
+
+    const incrementCounters = (key, deltas) => attempt(`increment ${key}`, undefined,
+        () => docs.update(key, (hash) => {
+            const next = { ...hash };
+            for (const [field, amount] of Object.entries(deltas)) {
+                if (amount !== 0) next[field] = (Number(next[field]) || 0) + amount;
+            }
+            return next;
+        }));
+
+    const createPlayer = (id, record) => attempt(`createPlayer ${id}`, false, async () => {
+        await docs.update(playerKey(id), () => ({ ...record }));
+        return true;
+    });
+
+    const adjustRating = (id, change) => attempt(`adjustRating ${id}`, null, async () => {
+        const next = await docs.update(playerKey(id), (record) => ({
+            ...record,
+            rating: (Number(record?.rating) || 0) + change,
+            ratedGames: (Number(record?.ratedGames) || 0) + 1,
+        }));
+        return next.rating;
+    });
+
+    return {
+        name,
+        getRoom,
+        getRoomVersion,
+        setRoom,
+        deleteRoom,
+        incrementProfile: (playerName, deltas) => incrementCounters(profileKey(playerName), deltas),
+        getProfile: (playerName) => attempt(`getProfile ${playerName}`, null, () => docs.get(profileKey(playerName))),
+        createPlayer,
+        getPlayer: (id) => attempt(`getPlayer ${id}`, null, () => docs.get(playerKey(id))),
+        incrementPlayer: (id, deltas) => incrementCounters(playerKey(id), deltas),
+        adjustRating,
+        ...createLocalLocks(),
+        close: async () => {},
+    };
+}
+
+function memoryDocuments() {
+    const docs = new Map();
+    const copy = (value) => (value === undefined ? null : structuredClone(value));
+    return {
+        async get(key) {
+            return copy(docs.get(key));
+        },
+        // synchronous inside, so updates can't interleave
+        async update(key, fn) {
+            const next = fn(copy(docs.get(key)));
+            if (next === null) docs.delete(key);
+            else if (next !== undefined) docs.set(key, copy(next));
+            return next === undefined ? copy(docs.get(key)) : next;
+        },
+    };
+}
+
+/** options.roomTtlSeconds: how long a room is kept after its last save. */
+function createMemoryStore(options) {
+    return createDocumentStore('memory', memoryDocuments(), options);
+}
+
+module.exports = {
+    createMemoryStore,
+    createDocumentStore,
+};
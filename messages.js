@@ -0,0 +1,283 @@
+// messages.js
+// Game messages as data. Everything the server tells a room is built with
+// message(type, params) as { type, ...params }, e.g.
+// { type: 'bid', player: 'asha', amount: 150 }, and kept that way in
+// room.messages. Clients get each message both as data (`gameMessage`) and
+// rendered in the language they joined with (`message`), so a client can
+// word it itself or just show the text.
+//
+// LANGUAGES holds the wording per language. Each template gets the
+// message's params and a formatter for cards, suits and name lists in that
+// language. Anything missing from a language falls back to English.
+
+const DEFAULT_LANGUAGE = 'en';
+
+const LANGUAGES = {
+    en: {
+        suits: {},
+        ranks: {},
+        card: (rank, suit) => `${rank} of ${suit}`,
+        templates: {
+            // auction
+            bid: ({ player, amount }) => `${player} placed a bid of ${amount}`,
+            pass: ({ player }) => `${player} passes`,
+            bidTurn: ({ player }) => `${player}'s turn to bid`,
+            auctionWon: ({ player }) => `${player} wins the auction`,
+            allPassForced: ({ player, amount }) => `All players passed, ${player} must take the bid at ${amount}`,
+            allPassRandom: () => 'All players passed, selecting winner at random',
+            powerSuit: ({ player, suit }, f) => `${player} selected ${f.suit(suit)} as the power suit`,
+            teamBidding: ({ team }) => `${team} is bidding`,
+            partnerCalled: ({ player, card }, f) => `${player} selected ${f.card(card)} as a partner`,
+
+            // doubling
+            doubleOffered: ({ player, amount }) => `${player} may double the bid of ${amount}`,
+            doubled: ({ player, bidder }) => `${player} doubles! ${bidder} may redouble`,
+            redoubled: ({ player }) => `${player} redoubles!`,
+            noDouble: ({ player }) => `${player} does not double`,
+            noRedouble: ({ player }) => `${player} does not redouble`,
+            stakes: ({ multiplier }) => `The hand is played for ${multiplier}x stakes`,
+
+            // play
+            playerTurn: ({ player }) => `It's ${player}'s turn!`,
+            cardPlayed: ({ player, card }, f) => `${player} played ${f.card(card)}`,
+            partnerRevealed: ({ player, card, bidder }, f) => `${player} played the ${f.card(card)} and is ${bidder}'s partner`,
+            ownPartnerCard: ({ player, card }, f) => `${player} called their own ${f.card(card)}: no partner for that card`,
+            partnerShort: ({ player, card }, f) =>
+                `${player} also held the ${f.card(card)}: the bidding team is a partner short`,
+            trickWon: ({ player, points }) => `${player} won ${points} points`,
+            gameWon: ({ winners, team }, f) => (team ? `${team} (${f.list(winners)}) win!` : `${f.list(winners)} win!`),
+            timedOut: ({ player }) => `${player} ran out of time`,
+
+            // takebacks
+            takebackAsked: ({ player }) => `${player} asks to take back their last move`,
+            takebackAccepted: ({ player }) => `${player} took back their move`,
+            takebackRejected: ({ player, by }) => `${by} refused ${player}'s takeback`,
+            takebackExpired: ({ player }) => `${player}'s takeback ran out of time`,
+            takebackLeft: ({ player, by }) => `${player}'s takeback was dropped because ${by} left`,
+
+            // games and matches
+            gameStarted: ({ player }) => `Game started by ${player}`,
+            matchStarted: ({ player }) => `Match started by ${player}`,
+            handDealt: ({ hand, player }) => `Hand ${hand}: ${player} deals`,
+            handResult: ({ hand, bidder, team, made, bid }) =>
+                `Hand ${hand}: ${team ? `${bidder} (${team})` : bidder} ${made ? 'made' : 'failed'} a bid of ${bid}`,
+            matchOver: ({ winners, team }, f) =>
+                `Match over! ${team ? `${team} (${f.list(winners)})` : f.list(winners)} win the match`,
+
+            // room
+            joined: ({ player }) => `User ${player} joined the room`,
+            disconnected: ({ player }) => `User ${player} disconnected`,
+            watching: ({ player }) => `${player} is watching`,
+            stoppedWatching: ({ player }) => `${player} stopped watching`,
+            watchOnlyLocked: () => 'The room is locked, so you are watching',
+            watchOnlyFull: () => 'The table is full, so you are watching',
+            spectatorHandsHidden: () => 'Spectators can no longer see the hands',
+            spectatorDelay: ({ seconds }) => `Spectators see the hands ${seconds} seconds late`,
+            playerRemoved: ({ player, name }) => `${player} removed ${name} from the room`,
+            roomLocked: () => 'The room is locked: newcomers can only watch',
+            roomUnlocked: () => 'The room is open again',
+            rulesChanged: ({ player }) => `${player} changed the room rules`,
+            botAdded: ({ player, bot, difficulty }) => `${player} added ${bot} (${difficulty})`,
+            botRemoved: ({ player, bot }) => `${player} removed ${bot}`,
+
+            // replies to a single player
+            notInRoom: () => 'Not in a room',
+            needPlayers: ({ count }) => `Need at least ${count} players to start`,
+            tooManyPlayers: () => 'Too many players in this room',
+            finishGameFirst: () => 'Finish the current game before starting a match',
+            handInProgress: () => 'The current hand is not finished yet',
+            waitingFor: ({ players }, f) => `Waiting for ${f.list(players)} to rejoin`,
+
+            // free text that has no wording of its own
+            text: ({ text }) => text,
+        },
+    },
+
+    hi: {
+        suits: { Spades: 'हुकुम', Hearts: 'पान', Diamonds: 'ईंट', Clubs: 'चिड़ी' },
+        ranks: { Ace: 'इक्का', King: 'बादशाह', Queen: 'बेगम', Jack: 'गुलाम' },
+        card: (rank, suit) => `${suit} का ${rank}`,
+        templates: {
+            bid: ({ player, amount }) => `${player} ने ${amount} की बोली लगाई`,
+            pass: ({ player }) => `${player} ने पास किया`,
+            bidTurn: ({ player }) => `बोली लगाने की बारी ${player} की है`,
+            auctionWon: ({ player }) => `${player} ने नीलामी जीती`,
+            allPassForced: ({ player, amount }) => `सभी ने पास किया, ${player} को ${amount} की बोली लेनी होगी`,
+            allPassRandom: () => 'सभी ने पास किया, विजेता यादृच्छिक रूप से चुना जा रहा है',
+            powerSuit: ({ player, suit }, f) => `${player} ने ${f.suit(suit)} को तुरुप चुना`,
+            teamBidding: ({ team }) => `${team} बोली लगा रही है`,
+            partnerCalled: ({ player, card }, f) => `${player} ने साथी के लिए ${f.card(card)} चुना`,
+
+            doubleOffered: ({ player, amount }) => `${player} ${amount} की बोली को डबल कर सकते हैं`,
+            doubled: ({ player, bidder }) => `${player} ने डबल किया! ${bidder} रीडबल कर सकते हैं`,
+            redoubled: ({ player }) => `${player} ने रीडबल किया!`,
+            noDouble: ({ player }) => `${player} ने डबल नहीं किया`,
+            noRedouble: ({ player }) => `${player} ने रीडबल नहीं किया`,
+            stakes: ({ multiplier }) => `यह हाथ ${multiplier} गुना दांव पर खेला जाएगा`,
+
+            playerTurn: ({ player }) => `अब ${player} की बारी है!`,
+            cardPlayed: ({ player, card }, f) => `${player} ने ${f.card(card)} खेला`,
+            partnerRevealed: ({ player, card, bidder }, f) => `${player} ने ${f.card(card)} खेला और ${bidder} के साथी हैं`,
+            ownPartnerCard: ({ player, card }, f) => `${player} ने अपना ही ${f.card(card)} बुलाया था: उस पत्ते का कोई साथी नहीं`,
+            partnerShort: ({ player, card }, f) =>
+                `${player} के पास ${f.card(card)} भी था: बोली लगाने वाली टीम में एक साथी कम है`,
+            trickWon: ({ player, points }) => `${player} ने ${points} अंक जीते`,
+            gameWon: ({ winners, team }, f) => (team ? `${team} (${f.list(winners)}) जीत गए!` : `${f.list(winners)} जीत गए!`),
+            timedOut: ({ player }) => `${player} का समय समाप्त हो गया`,
+
+            takebackAsked: ({ player }) => `${player} अपनी पिछली चाल वापस लेना चाहते हैं`,
+            takebackAccepted: ({ player }) => `${player} ने अपनी चाल वापस ली`,
+            takebackRejected: ({ player, by }) => `${by} ने ${player} की चाल वापसी अस्वीकार की`,
+            takebackExpired: ({ player }) => `${player} के चाल वापसी अनुरोध का समय समाप्त हो गया`,
+            takebackLeft: ({ player, by }) => `${player} का चाल वापसी अनुरोध रद्द हुआ क्योंकि ${by} चले गए`,
+
+            gameStarted: ({ player }) => `${player} ने खेल शुरू किया`,
+            matchStarted: ({ player }) => `${player} ने मैच शुरू किया`,
+            handDealt: ({ hand, player }) => `हाथ ${hand}: ${player} पत्ते बाँट रहे हैं`,
+            handResult: ({ hand, bidder, team, made, bid }) =>
+                `हाथ ${hand}: ${team ? `${bidder} (${team})` : bidder} ने ${bid} की बोली ${made ? 'पूरी की' : 'पूरी नहीं की'}`,
+            matchOver: ({ winners, team }, f) =>
+                `मैच खत्म! ${team ? `${team} (${f.list(winners)})` : f.list(winners)} ने मैच जीता`,
+
+            joined: ({ player }) => `${player} कमरे में आए`,
+            disconnected: ({ player }) => `${player} का कनेक्शन टूट गया`,
+            watching: ({ player }) => `${player} देख रहे हैं`,
+            stoppedWatching: ({ player }) => `${player} ने देखना बंद किया`,
+            watchOnlyLocked: () => 'कमरा बंद है, इसलिए आप केवल देख सकते हैं',
+            watchOnlyFull: () => 'मेज़ भरी हुई है, इसलिए आप केवल देख सकते हैं',
+            spectatorHandsHidden: () => 'दर्शक अब पत्ते नहीं देख सकते',
+            spectatorDelay: ({ seconds }) => `दर्शक पत्ते ${seconds} सेकंड देर से देखते हैं`,
+            playerRemoved: ({ player, name }) => `${player} ने ${name} को कमरे से हटा दिया`,
+            roomLocked: () => 'कमरा बंद है: नए लोग केवल देख सकते हैं',
+            roomUnlocked: () => 'कमरा फिर से खुला है',
+            rulesChanged: ({ player }) => `${player} ने कमरे के नियम बदले`,
+            botAdded: ({ player, bot, difficulty }) => `${player} ने ${bot} (${difficulty}) जोड़ा`,
+            botRemoved: ({ player, bot }) => `${player} ने ${bot} को हटाया`,
+
+            notInRoom: () => 'आप किसी कमरे में नहीं हैं',
+            needPlayers: ({ count }) => `शुरू करने के लिए कम से कम ${count} खिलाड़ी चाहिए`,
+            tooManyPlayers: () => 'इस कमरे में बहुत ज़्यादा खिलाड़ी हैं',
+            finishGameFirst: () => 'मैच शुरू करने से पहले मौजूदा खेल पूरा करें',
+            handInProgress: () => 'मौजूदा हाथ अभी पूरा नहीं हुआ है',
+            waitingFor: ({ players }, f) => `${f.list(players)} के वापस आने की प्रतीक्षा है`,
+        },
+    },
+
+    gu: {
+        suits: { Spades: 'કાળી', Hearts: 'લાલ', Diamonds: 'ચોકટ', Clubs: 'ફુલ્લી' },
+        ranks: { Ace: 'એક્કો', King: 'બાદશાહ', Queen: 'રાણી', Jack: 'ગુલામ' },
+        card: (rank, suit) => `${suit}નો ${rank}`,
+        templates: {
+            bid: ({ player, amount }) => `${player} એ ${amount} ની બોલી લગાવી`,
+            pass: ({ player }) => `${player} એ પાસ કર્યું`,
+            bidTurn: ({ player }) => `બોલી લગાવવાનો વારો ${player} નો છે`,
+            auctionWon: ({ player }) => `${player} હરાજી જીત્યા`,
+            allPassForced: ({ player, amount }) => `બધાએ પાસ કર્યું, ${player} એ ${amount} ની બોલી લેવી પડશે`,
+            allPassRandom: () => 'બધાએ પાસ કર્યું, વિજેતા યાદૃચ્છિક રીતે પસંદ થઈ રહ્યો છે',
+            powerSuit: ({ player, suit }, f) => `${player} એ ${f.suit(suit)} ને હુકમ તરીકે પસંદ કર્યું`,
+            teamBidding: ({ team }) => `${team} બોલી લગાવી રહી છે`,
+            partnerCalled: ({ player, card }, f) => `${player} એ ભાગીદાર માટે ${f.card(card)} પસંદ કર્યું`,
+
+            doubleOffered: ({ player, amount }) => `${player} ${amount} ની બોલીને ડબલ કરી શકે છે`,
+            doubled: ({ player, bidder }) => `${player} એ ડબલ કર્યું! ${bidder} રીડબલ કરી શકે છે`,
+            redoubled: ({ player }) => `${player} એ રીડબલ કર્યું!`,
+            noDouble: ({ player }) => `${player} એ ડબલ ન કર્યું`,
+            noRedouble: ({ player }) => `${player} એ રીડબલ ન કર્યું`,
+            stakes: ({ multiplier }) => `આ હાથ ${multiplier} ગણા દાવ પર રમાશે`,
+
+            playerTurn: ({ player }) => `હવે ${player} નો વારો છે!`,
+            cardPlayed: ({ player, card }, f) => `${player} એ ${f.card(card)} રમ્યું`,
+            partnerRevealed: ({ player, card, bidder }, f) => `${player} એ ${f.card(card)} રમ્યું અને ${bidder} ના ભાગીદાર છે`,
+            ownPartnerCard: ({ player, card }, f) =>
+                `${player} એ પોતાનું જ ${f.card(card)} બોલાવ્યું હતું: એ પત્તાનો કોઈ ભાગીદાર નથી`,
+            partnerShort: ({ player, card }, f) =>
+                `${player} પાસે ${f.card(card)} પણ હતું: બોલી લગાવનાર ટીમમાં એક ભાગીદાર ઓછો છે`,
+            trickWon: ({ player, points }) => `${player} ${points} પોઈન્ટ જીત્યા`,
+            gameWon: ({ winners, team }, f) => (team ? `${team} (${f.list(winners)}) જીત્યા!` : `${f.list(winners)} જીત્યા!`),
+            timedOut: ({ player }) => `${player} નો સમય પૂરો થયો`,
+
+            takebackAsked: ({ player }) => `${player} પોતાની છેલ્લી ચાલ પાછી લેવા માંગે છે`,
+            takebackAccepted: ({ player }) => `${player} એ પોતાની ચાલ પાછી લીધી`,
+            takebackRejected: ({ player, by }) => `${by} એ ${player} ની ચાલ પાછી લેવાની વિનંતી નકારી`,
+            takebackExpired: ({ player }) => `${player} ની ચાલ પાછી લેવાની વિનંતીનો સમય પૂરો થયો`,
+            takebackLeft: ({ player, by }) => `${player} ની ચાલ પાછી લેવાની વિનંતી રદ થઈ કારણ કે ${by} ચાલ્યા ગયા`,
+
+            gameStarted: ({ player }) => `${player} એ રમત શરૂ કરી`,
+            matchStarted: ({ player }) => `${player} એ મેચ શરૂ કરી`,
+            handDealt: ({ hand, player }) => `હાથ ${hand}: ${player} પત્તાં વહેંચે છે`,
+            handResult: ({ hand, bidder, team, made, bid }) => {
+                const who = team ? `${bidder} (${team})` : bidder;
+                return made
+                    ? `હાથ ${hand}: ${who} એ ${bid} ની બોલી પૂરી કરી`
+                    : `હાથ ${hand}: ${who} ${bid} ની બોલી પૂરી ન કરી શક્યા`;
+            },
+            matchOver: ({ winners, team }, f) =>
+                `મેચ પૂરી! ${team ? `${team} (${f.list(winners)})` : f.list(winners)} મેચ જીત્યા`,
+
+            joined: ({ player }) => `${player} રૂમમાં આવ્યા`,
+            disconnected: ({ player }) => `${player} નું જોડાણ તૂટી ગયું`,
+            watching: ({ player }) => `${player} જોઈ રહ્યા છે`,
+            stoppedWatching: ({ player }) => `${player} એ જોવાનું બંધ કર્યું`,
+            watchOnlyLocked: () => 'રૂમ બંધ છે, તેથી તમે ફક્ત જોઈ શકો છો',
+            watchOnlyFull: () => 'ટેબલ ભરેલું છે, તેથી તમે ફક્ત જોઈ શકો છો',
+            spectatorHandsHidden: () => 'દર્શકો હવે પત્તાં જોઈ શકતા નથી',
+            spectatorDelay: ({ seconds }) => `દર્શકો પત્તાં ${seconds} સેકન્ડ મોડા જુએ છે`,
+            playerRemoved: ({ player, name }) => `${player} એ ${name} ને રૂમમાંથી કાઢી મૂક્યા`,
+            roomLocked: () => 'રૂમ બંધ છે: નવા લોકો ફક્ત જોઈ શકે છે',
+            roomUnlocked: () => 'રૂમ ફરીથી ખુલ્લો છે',
+            rulesChanged: ({ player }) => `${player} એ રૂમના નિયમો બદલ્યા`,
+            botAdded: ({ player, bot, difficulty }) => `${player} એ ${bot} (${difficulty}) ઉમેર્યો`,
+            botRemoved: ({ player, bot }) => `${player} એ ${bot} ને દૂર કર્યો`,
+
+            notInRoom: () => 'તમે કોઈ રૂમમાં નથી',
+            needPlayers: ({ count }) => `શરૂ કરવા માટે ઓછામાં ઓછા ${count} ખેલાડીઓ જોઈએ`,
+            tooManyPlayers: () => 'આ રૂમમાં ઘણા બધા ખેલાડીઓ છે',
+            finishGameFirst: () => 'મેચ શરૂ કરતા પહેલાં ચાલુ રમત પૂરી કરો',
+            handInProgress: () => 'ચાલુ હાથ હજી પૂરો થયો નથી',
+            waitingFor: ({ players }, f) => `${f.list(players)} ના પાછા આવવાની રાહ જોવાય છે`,
+        },
+    },
+};
+
+const LANGUAGE_CODES = Object.keys(LANGUAGES);
+
+/** A message of `type`; throws on a type no language has wording for. */
+function message(type, params = {}) {
+    if (!LANGUAGES[DEFAULT_LANGUAGE].templates[type]) throw new Error(`Unknown message type ${type}`);
+    return { type, ...params };
+}
+
+function formatter(language) {
+    const { suits, ranks, card } = LANGUAGES[language];
+    const suit = (name) => suits[name] || name;
+    return {
+        suit,
+        card: (c) => card(ranks[c.number] || c.number, suit(c.suit)),
+        list: (names) => names.join(', '),
+    };
+}
+
+/**
+ * The text of a message in `language` (English when the language or the
+ * message type has no wording). Plain strings, as rooms stored them before
+ * messages were data, are returned as they are.
+ */
+function renderMessage(msg, language = DEFAULT_LANGUAGE) {
+    if (typeof msg === 'string') return msg;
+    const lang = LANGUAGES[language]?.templates[msg.type] ? language : DEFAULT_LANGUAGE;
+    const template = LANGUAGES[lang].templates[msg.type];
+    return template ? template(msg, formatter(lang)) : msg.type;
+}
+
+/** The socket.io room a room's clients reading `language` are in. */
+function languageRoom(roomId, language) {
+    return `${roomId}#${language}`;
+}
+
+module.exports = {
+    DEFAULT_LANGUAGE,
+    LANGUAGE_CODES,
+    message,
+    renderMessage,
+    languageRoom,
+};
@@ -0,0 +1,62 @@
+// players.js
+// Persistent player identities. Registering creates a player id and a
+// secret; the client keeps `${id}.${secret}` as its player token and sends
+// it with `identify` on every new connection. Only a hash of the secret is
+// stored (in the player's Redis hash, see redisClient.js), so a token can't
+// be rebuilt from the store.
+
+const crypto = require('crypto');
+const { DEFAULT_RATING } = require('./ratings');
+
+function hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/** A new player: the record to store and the token to hand to the client. */
+function newPlayer(name, now = Date.now()) {
+    const id = `p${crypto.randomBytes(8).toString('hex')}`;
+    const secret = crypto.randomBytes(24).toString('base64url');
+    return {
+        id,
+        token: `${id}.${secret}`,
+        record: {
+            name,
+            secretHash: hashSecret(secret),
+            createdAt: now,
+            rating: DEFAULT_RATING,
+            ratedGames: 0,
+        },
+    };
+}
+
+/** { id, secret } from a player token, or null if it isn't one. */
+function parseToken(token) {
+    if (typeof token !== 'string') return null;
+    const match = /^(p[0-9a-f]{16})\.([A-Za-z0-9_-]{32})$/.exec(token);
+    return match ? { id: match[1], secret: match[2] } : null;
+}
+
+/** True when `secret` belongs to the stored player `record`. */
+function secretMatches(record, secret) {
+    if (!record?.secretHash) return false;
+    const expected = Buffer.from(record.secretHash);
+    const given = Buffer.from(hashSecret(secret));
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/** What clients may see of a stored player. */
+function publicPlayer(id, record) {
+    return {
+        id,
+        name: record.name,
+        rating: Math.round(Number(record.rating) || DEFAULT_RATING),
+        ratedGames: Number(record.ratedGames) || 0,
+    };
+}
+
+module.exports = {
+    newPlayer,
+    parseToken,
+    secretMatches,
+    publicPlayer,
+};
@@ -0,0 +1,62 @@
+// profiles.js
+// Long-term statistics per player, across rooms. A profile is a set of
+// counters (stored as a Redis hash by redisClient.js, without a TTL) that
+// every finished game adds to; the rates are worked out when it is read.
+
+// counters kept for every player
+const COUNTERS = [
+    'gamesPlayed',
+    'gamesWon',
+    'bidsWon',        // auctions won
+    'bidsMade',
+    'bidsFailed',
+    'bidTotal',       // sum of winning bids, for the average
+    'pointsCaptured', // card points in tricks the player took
+    'partnerGames',   // games on the bidding team without being the bidder
+    'partnerWins',
+];
+
+/**
+ * How one finished game changes `name`'s counters. `result` is an entry of
+ * a room's gameResults.
+ */
+function gameDeltas(result, name) {
+    const won = result.gameWinners.includes(name);
+    const isBidder = result.highestBidder === name;
+    const isPartner = !isBidder && (result.biddingTeam || []).includes(name);
+
+    return {
+        gamesPlayed: 1,
+        gamesWon: won ? 1 : 0,
+        bidsWon: isBidder ? 1 : 0,
+        bidsMade: isBidder && won ? 1 : 0,
+        bidsFailed: isBidder && !won ? 1 : 0,
+        bidTotal: isBidder ? result.highestBid : 0,
+        pointsCaptured: result.playerScores?.[name] || 0,
+        partnerGames: isPartner ? 1 : 0,
+        partnerWins: isPartner && won ? 1 : 0,
+    };
+}
+
+function ratio(part, whole, digits = 3) {
+    return whole > 0 ? Number((part / whole).toFixed(digits)) : null;
+}
+
+/** Counters as stored (strings from Redis) → the profile sent to clients. */
+function profileView(name, stored) {
+    const c = Object.fromEntries(COUNTERS.map(key => [key, Number(stored?.[key]) || 0]));
+    return {
+        name,
+        ...c,
+        winRate: ratio(c.gamesWon, c.gamesPlayed),
+        averageBid: ratio(c.bidTotal, c.bidsWon, 1),
+        bidSuccessRate: ratio(c.bidsMade, c.bidsWon),
+        partnerSuccessRate: ratio(c.partnerWins, c.partnerGames),
+    };
+}
+
+module.exports = {
+    COUNTERS,
+    gameDeltas,
+    profileView,
+};
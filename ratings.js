@@ -0,0 +1,63 @@
+// ratings.js
+// Elo-style ratings for a game whose teams change every hand. Each player
+// is rated on their own against the average rating of the side they played
+// against, so a strong player on a weak team isn't punished for the team.
+// The stake grows with the size of the bid, and the bidder, who chose that
+// stake, takes a bigger share of the result.
+
+const DEFAULT_RATING = 1500;
+const K_FACTOR = 32;
+const BIDDER_WEIGHT = 1.5;
+
+/** Chance that a player rated `rating` beats one rated `opponentRating`. */
+function expectedScore(rating, opponentRating) {
+    return 1 / (1 + 10 ** ((opponentRating - rating) / 400));
+}
+
+function average(values) {
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+/** 1 for the lowest possible bid, rising to 2 for the maximum bid. */
+function stake(bid, minimumBid, maximumBid) {
+    const span = maximumBid - minimumBid;
+    const size = span > 0 ? (bid - minimumBid) / span : 0;
+    return 1 + Math.min(1, Math.max(0, size));
+}
+
+/**
+ * Rating change for everyone in a finished game, as { name: delta }.
+ * `ratings` has the current rating of every player (unrated players count
+ * as DEFAULT_RATING); `result` is an entry of a room's gameResults.
+ */
+function ratingChanges(ratings, result) {
+    const biddingTeam = new Set(result.biddingTeam);
+    const players = [...result.gameWinners, ...result.gameLosers];
+    const sides = {
+        bidders: players.filter(p => biddingTeam.has(p)),
+        defenders: players.filter(p => !biddingTeam.has(p)),
+    };
+    const ratingOf = (p) => ratings[p] ?? DEFAULT_RATING;
+    const biddersWon = result.gameWinners.includes(result.highestBidder);
+    const k = K_FACTOR * stake(result.highestBid, result.minimumBid, result.maximumBid);
+
+    const changes = {};
+    for (const p of players) {
+        const onBiddingTeam = biddingTeam.has(p);
+        const opponents = onBiddingTeam ? sides.defenders : sides.bidders;
+        if (opponents.length === 0) continue;
+
+        const actual = onBiddingTeam === biddersWon ? 1 : 0;
+        const expected = expectedScore(ratingOf(p), average(opponents.map(ratingOf)));
+        const weight = p === result.highestBidder ? BIDDER_WEIGHT : 1;
+        changes[p] = Math.round(k * weight * (actual - expected) * 10) / 10;
+    }
+    return changes;
+}
+
+module.exports = {
+    DEFAULT_RATING,
+    K_FACTOR,
+    expectedScore,
+    ratingChanges,
+};
@@ -1,97 +1,201 @@
-const Redis = require('ioredis');
-
-// Easily change room TTL here — value is in hours
-const ROOM_TTL_HOURS = parseInt(process.env.ROOM_TTL_HOURS || '2', 10);
-const ROOM_TTL_SECONDS = ROOM_TTL_HOURS * 3600;
+// redisClient.js
+// The Redis store backend (see store.js for the interface every backend
+// provides). The connection is only opened when the store is first used.
+// It is the only backend several server instances can share (cluster.js).
 
-const redis = new Redis(process.env.REDIS_URL || 'redis://localhost:6379', {
-    // ioredis will automatically retry on disconnect
-    maxRetriesPerRequest: 3,
-});
-
-redis.on('connect', () => console.log('Redis connected'));
-redis.on('error', (err) => console.error('Redis error:', err));
+const Redis = require('ioredis');
+const { serializeRoom, deserializeRoom } = require('./serialization');
 
 /**
- * Serialize roomData for Redis storage.
- * Converts Set objects (alpha, beta) to plain arrays so JSON.stringify works.
+ * options.url is the Redis URL, options.roomTtlSeconds how long a room is
+ * kept after its last save.
  */
-function serialize(roomData) {
-    if (!roomData) return null;
-
-    // shallow clone so we don't mutate the live in-memory object
-    const data = { ...roomData };
-
-    if (data.gameState) {
-        const gs = { ...data.gameState };
+function createRedisStore({ url = 'redis://localhost:6379', roomTtlSeconds }) {
+    const redis = new Redis(url, {
+        // ioredis will automatically retry on disconnect
+        maxRetriesPerRequest: 3,
+        lazyConnect: true,
+    });
+
+    redis.on('connect', () => console.log('Redis connected'));
+    redis.on('error', (err) => console.error('Redis error:', err));
+
+    const roomKey = (roomId) => `room:${roomId}`;
+    const versionKey = (roomId) => `room:${roomId}:version`;
+
+    // Every save of a room bumps room:<id>:version. A save names the version it
+    // started from and is refused if the room was saved again since, so two
+    // servers can't silently overwrite each other's changes.
+    redis.defineCommand('saveRoom', {
+        numberOfKeys: 2,
+        lua: `
+            local current = tonumber(redis.call('GET', KEYS[2]) or '0')
+            if current ~= tonumber(ARGV[1]) then return -1 end
+            redis.call('SET', KEYS[1], ARGV[2], 'EX', ARGV[3])
+            redis.call('SET', KEYS[2], current + 1, 'EX', ARGV[3])
+            return current + 1
+        `,
+    });
+
+    // release / extend a lock only while it still holds our token
+    redis.defineCommand('releaseLock', {
+        numberOfKeys: 1,
+        lua: `if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('DEL', KEYS[1]) end return 0`,
+    });
+    redis.defineCommand('renewLock', {
+        numberOfKeys: 1,
+        lua: `if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('PEXPIRE', KEYS[1], ARGV[2]) end return 0`,
+    });
+
+    // ─── Rooms ────────────────────────────────────────────────────────────
+
+    async function getRoom(roomId) {
+        try {
+            const [json, version] = await redis.mget(roomKey(roomId), versionKey(roomId));
+            const data = deserializeRoom(json);
+            if (data) data.version = Number(version) || 0;
+            return data;
+        } catch (err) {
+            console.error(`Redis getRoom error for ${roomId}:`, err);
+            return null;
+        }
+    }
 
-        if (gs.alpha instanceof Set) gs.alpha = [...gs.alpha];
-        if (gs.beta instanceof Set) gs.beta = [...gs.beta];
+    async function getRoomVersion(roomId) {
+        try {
+            return Number(await redis.get(versionKey(roomId))) || 0;
+        } catch (err) {
+            console.error(`Redis getRoomVersion error for ${roomId}:`, err);
+            return null;
+        }
+    }
 
-        // playerGameStates hands are plain arrays — fine as-is
-        data.gameState = gs;
+    async function setRoom(roomId, roomData) {
+        try {
+            const json = serializeRoom(roomData);
+            if (!json) return false;
+            const version = await redis.saveRoom(roomKey(roomId), versionKey(roomId),
+                roomData.version || 0, json, roomTtlSeconds);
+            if (version < 0) {
+                console.error(`Room ${roomId} was saved elsewhere since version ${roomData.version || 0}; not saved`);
+                return false;
+            }
+            roomData.version = version;
+            return true;
+        } catch (err) {
+            console.error(`Redis setRoom error for ${roomId}:`, err);
+            return false;
+        }
     }
 
-    return JSON.stringify(data);
-}
+    async function deleteRoom(roomId) {
+        try {
+            await redis.del(roomKey(roomId), versionKey(roomId));
+        } catch (err) {
+            console.error(`Redis deleteRoom error for ${roomId}:`, err);
+        }
+    }
 
-/**
- * Deserialize roomData from Redis.
- * Reconstructs Set objects (alpha, beta) from the stored arrays.
- */
-function deserialize(json) {
-    if (!json) return null;
+    // ─── Player profiles ──────────────────────────────────────────────────
+    // Hashes of counters (see profiles.js). They outlive rooms, so no TTL.
+    // Guests are kept by name under profile:<name>; registered players keep
+    // their counters in their player hash, player:<id> (see players.js).
+
+    const profileKey = (name) => `profile:${name}`;
+    const playerKey = (id) => `player:${id}`;
+
+    // HINCRBY keeps this safe when games in different rooms finish at once
+    async function incrementCounters(key, deltas) {
+        try {
+            const tx = redis.multi();
+            for (const [field, amount] of Object.entries(deltas)) {
+                if (amount !== 0) tx.hincrby(key, field, amount);
+            }
+            await tx.exec();
+        } catch (err) {
+            console.error(`Redis increment error for ${key}:`, err);
+        }
+    }
 
-    const data = JSON.parse(json);
+    async function getHash(key) {
+        try {
+            const hash = await redis.hgetall(key);
+            return Object.keys(hash).length > 0 ? hash : null;
+        } catch (err) {
+            console.error(`Redis read error for ${key}:`, err);
+            return null;
+        }
+    }
 
-    if (data.gameState) {
-        const gs = data.gameState;
+    async function createPlayer(id, record) {
+        try {
+            await redis.hset(playerKey(id), record);
+            return true;
+        } catch (err) {
+            console.error(`Redis createPlayer error for ${id}:`, err);
+            return false;
+        }
+    }
 
-        // Reconstruct Sets — Set deduplicates, so this is safe even if the
-        // source array somehow had duplicates (it won't, but just to be explicit)
-        if (Array.isArray(gs.alpha)) gs.alpha = new Set(gs.alpha);
-        if (Array.isArray(gs.beta))  gs.beta  = new Set(gs.beta);
+    async function adjustRating(id, change) {
+        try {
+            const [[, rating]] = await redis.multi()
+                .hincrbyfloat(playerKey(id), 'rating', change)
+                .hincrby(playerKey(id), 'ratedGames', 1)
+                .exec();
+            return Number(rating);
+        } catch (err) {
+            console.error(`Redis adjustRating error for ${id}:`, err);
+            return null;
+        }
     }
 
-    return data;
-}
+    // ─── Locks ────────────────────────────────────────────────────────────
 
-/**
- * Load a room from Redis.
- * Returns the deserialized room object, or null if it doesn't exist.
- */
-async function getRoom(roomId) {
-    try {
-        const json = await redis.get(`room:${roomId}`);
-        return deserialize(json);
-    } catch (err) {
-        console.error(`Redis getRoom error for ${roomId}:`, err);
-        return null;
+    async function acquireLock(key, token, ms) {
+        try {
+            return (await redis.set(key, token, 'PX', ms, 'NX')) === 'OK';
+        } catch (err) {
+            console.error(`Redis acquireLock error for ${key}:`, err);
+            return false;
+        }
     }
-}
 
-/**
- * Persist a room to Redis with the configured TTL.
- * Call this after any mutation to roomData[roomId].
- */
-async function setRoom(roomId, roomData) {
-    try {
-        const json = serialize(roomData);
-        if (json) await redis.set(`room:${roomId}`, json, 'EX', ROOM_TTL_SECONDS);
-    } catch (err) {
-        console.error(`Redis setRoom error for ${roomId}:`, err);
+    async function renewLock(key, token, ms) {
+        try {
+            return (await redis.renewLock(key, token, ms)) === 1;
+        } catch (err) {
+            console.error(`Redis renewLock error for ${key}:`, err);
+            return false;
+        }
     }
-}
 
-/**
- * Delete a room from Redis (called when the room empties).
- */
-async function deleteRoom(roomId) {
-    try {
-        await redis.del(`room:${roomId}`);
-    } catch (err) {
-        console.error(`Redis deleteRoom error for ${roomId}:`, err);
+    async function releaseLock(key, token) {
+        try {
+            await redis.releaseLock(key, token);
+        } catch (err) {
+            console.error(`Redis releaseLock error for ${key}:`, err);
+        }
     }
+
+    return {
+        name: 'redis',
+        redis,
+        getRoom,
+        getRoomVersion,
+        setRoom,
+        deleteRoom,
+        incrementProfile: (name, deltas) => incrementCounters(profileKey(name), deltas),
+        getProfile: (name) => getHash(profileKey(name)),
+        createPlayer,
+        getPlayer: (id) => getHash(playerKey(id)),
+        incrementPlayer: (id, deltas) => incrementCounters(playerKey(id), deltas),
+        adjustRating,
+        acquireLock,
+        renewLock,
+        releaseLock,
+        close: async () => redis.disconnect(),
+    };
 }
 
-module.exports = { redis, getRoom, setRoom, deleteRoom };
+module.exports = { createRedisStore };
@@ -0,0 +1,151 @@
+// rules.js
+// House rules for a single game. game.js reads these instead of hard-coding
+// variants, and they are published in public.rules so clients can show them.
+
+const { DECK_PRESETS, DEFAULT_PRESET, THREE_OF_SPADES_VALUE, buildDeck } = require('./deck');
+
+const END_CONDITIONS = [
+    'decided', // stop as soon as the result can no longer change
+    'playOut', // always play every trick
+];
+
+const TEAM_MODES = [
+    'hidden', // the bidder calls partner cards; teams show as they are played
+    'fixed',  // alternate seats are partners for the whole game
+];
+
+const SELF_CALLS = [
+    'reject', // the bidder may only call cards someone else holds
+    'allow',  // calling an own card is allowed and brings no partner
+];
+
+// what happens when nobody bids
+const ALL_PASS_RULES = [
+    'random', // a player drawn from the deal seed takes the lowest bid
+    'dealer', // the dealer is forced to take the lowest bid
+];
+
+// seconds a player gets to act in each stage; 0 turns the timer off
+const TIMED_STAGES = ['auction', 'powerSuitSelection', 'partnerSelection', 'doubling', 'playing'];
+const MAX_TURN_SECONDS = 600;
+
+// partner cards the bidder calls at a table of n players
+const PARTNER_FORMULAS = {
+    half: n => Math.ceil(n / 2) - 1,               // bidding team is the larger half
+    fewer: n => Math.max(1, Math.floor(n / 2) - 1), // bidding team is the smaller half
+    one: () => 1,                                  // always a single partner
+};
+
+const DEFAULT_RULES = {
+    deckPreset: DEFAULT_PRESET,
+    endCondition: 'decided',
+    teamMode: 'hidden',
+    selfCall: 'reject',
+    minimumBid: null, // null: derived from the deck (120 of 250)
+    maximumBid: null, // null: every point in the deck (250)
+    partnerFormula: 'half',
+    threeOfSpadesValue: THREE_OF_SPADES_VALUE,
+    bidStep: 5,        // every raise is a multiple of this
+    reentry: false,    // true: a pass only skips one turn
+    allPass: 'random',
+    doubling: false,   // true: defenders may double, the bidder redouble
+    turnSeconds: {
+        auction: 30,
+        powerSuitSelection: 30,
+        partnerSelection: 60,
+        doubling: 15,
+        playing: 30,
+    },
+};
+
+// allowed values per rule; a function is used when the set isn't fixed
+const RULE_CHECKS = {
+    deckPreset: v => Object.prototype.hasOwnProperty.call(DECK_PRESETS, v),
+    endCondition: v => END_CONDITIONS.includes(v),
+    teamMode: v => TEAM_MODES.includes(v),
+    selfCall: v => SELF_CALLS.includes(v),
+    minimumBid: v => v === null || (Number.isInteger(v) && v > 0),
+    maximumBid: v => v === null || (Number.isInteger(v) && v > 0),
+    partnerFormula: v => Object.prototype.hasOwnProperty.call(PARTNER_FORMULAS, v),
+    threeOfSpadesValue: v => Number.isInteger(v) && v >= 0 && v <= 100,
+    bidStep: v => Number.isInteger(v) && v >= 1 && v <= 50,
+    reentry: v => typeof v === 'boolean',
+    allPass: v => ALL_PASS_RULES.includes(v),
+    doubling: v => typeof v === 'boolean',
+    turnSeconds: v => Object.entries(v).every(([stage, seconds]) =>
+        TIMED_STAGES.includes(stage) &&
+        Number.isInteger(seconds) && seconds >= 0 && seconds <= MAX_TURN_SECONDS
+    ),
+};
+
+function isPlainObject(v) {
+    return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+/**
+ * Merge `overrides` onto the defaults. Object-valued rules (turnSeconds)
+ * are merged key by key, so a partial override keeps the other defaults.
+ * Unknown keys are ignored; known keys with invalid values throw.
+ */
+function resolveRules(overrides = {}) {
+    const rules = { ...DEFAULT_RULES };
+    for (const [key, value] of Object.entries(overrides || {})) {
+        if (!RULE_CHECKS[key] || value === undefined) continue;
+        const nested = isPlainObject(DEFAULT_RULES[key]);
+        if ((nested && !isPlainObject(value)) || !RULE_CHECKS[key](value)) {
+            throw new Error(`Invalid value for rule "${key}": ${JSON.stringify(value)}`);
+        }
+        rules[key] = nested ? { ...DEFAULT_RULES[key], ...value } : value;
+    }
+    return rules;
+}
+
+/** Number of partner cards the bidder calls; none with fixed teams. */
+function partnerCount(rules, playerCount) {
+    if (rules?.teamMode === 'fixed') return 0;
+    const formula = PARTNER_FORMULAS[rules?.partnerFormula] || PARTNER_FORMULAS.half;
+    return formula(playerCount);
+}
+
+/**
+ * Bid limits for a deck worth `deck.totalPoints`: the rules' own limits
+ * where set, otherwise the deck's. Throws if they leave no room to bid.
+ */
+function bidLimits(rules, deck) {
+    const minimumBid = rules.minimumBid ?? deck.minimumBid;
+    const maximumBid = rules.maximumBid ?? deck.maximumBid;
+    if (maximumBid > deck.totalPoints) {
+        throw new Error(`Maximum bid ${maximumBid} is more than the ${deck.totalPoints} points in the deck`);
+    }
+    if (minimumBid + rules.bidStep > maximumBid) {
+        throw new Error(`Minimum bid ${minimumBid} leaves no room to bid below the maximum bid ${maximumBid}`);
+    }
+    return { minimumBid, maximumBid };
+}
+
+/**
+ * Check resolved `rules` against a table of `playerCount`: the deck must
+ * split between them, leave room to bid and, with fixed teams, seat two
+ * equal teams. Throws with the reason a game couldn't be dealt.
+ */
+function checkTable(rules, playerCount) {
+    if (rules.teamMode === 'fixed' && playerCount % 2 !== 0) {
+        throw new Error('Fixed teams need an even number of players');
+    }
+    const deck = buildDeck(playerCount, rules.deckPreset, { threeOfSpadesValue: rules.threeOfSpadesValue });
+    bidLimits(rules, deck);
+}
+
+module.exports = {
+    END_CONDITIONS,
+    TEAM_MODES,
+    SELF_CALLS,
+    ALL_PASS_RULES,
+    TIMED_STAGES,
+    PARTNER_FORMULAS,
+    DEFAULT_RULES,
+    resolveRules,
+    partnerCount,
+    bidLimits,
+    checkTable,
+};
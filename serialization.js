@@ -0,0 +1,99 @@
+// serialization.js
+// How a room is turned into JSON for storage, shared by every store backend
+// (see store.js). Each saved room is stamped with the SCHEMA_VERSION it was
+// written in; when an older room is read, the MIGRATIONS between its schema
+// and the current one are run on it in order. Bump SCHEMA_VERSION and add a
+// migration whenever the stored shape of a room changes.
+
+const { restoreLobby } = require('./lobby');
+const { MIN_DELAY_SECONDS } = require('./spectators');
+
+const SCHEMA_VERSION = 5;
+
+// MIGRATIONS[n] upgrades a room from schema n to n + 1
+const MIGRATIONS = {
+    // 1: rooms saved before schemas were stamped. Those from before the
+    // lobby existed keep host, bots and the spectator delay at the top level.
+    1: (room) => {
+        room.lobby = restoreLobby(room);
+    },
+    // 2: the public state counts tricks won per player and team
+    2: (room) => {
+        const gs = room.gameState;
+        if (!gs?.public || gs.public.tricksWon) return;
+        const pub = gs.public;
+        const tricks = pub.tricks || [];
+        const wonBy = (names) => tricks.filter(t => names.includes(t.winner)).length;
+        pub.tricksWon = Object.fromEntries(pub.players.map(name => [name, wonBy([name])]));
+        if (pub.teams) pub.teamTricks = Object.fromEntries(pub.teams.map(t => [t.name, wonBy(t.players)]));
+        else if (pub.stage === 'gameOver') pub.teamTricks = { alpha: wonBy(gs.alpha), beta: wonBy(gs.beta) };
+        else pub.teamTricks = null;
+    },
+    // 3: game messages are data (see messages.js); older English text is
+    // kept as it was written
+    3: (room) => {
+        room.messages = (room.messages || []).map(msg => (typeof msg === 'string' ? { type: 'text', text: msg } : msg));
+    },
+    // 4: spectators see hands no sooner than MIN_DELAY_SECONDS
+    4: (room) => {
+        const delay = room.lobby?.spectatorDelaySeconds;
+        if (delay !== null && delay !== undefined && delay < MIN_DELAY_SECONDS) {
+            room.lobby.spectatorDelaySeconds = MIN_DELAY_SECONDS;
+        }
+    },
+};
+
+/**
+ * Room → JSON. Sets (the game's alpha and beta teams) become arrays, and
+ * `version`, which each backend keeps on its own, is left out.
+ */
+function serializeRoom(room) {
+    if (!room) return null;
+
+    // shallow clone so we don't mutate the live in-memory object
+    const data = { ...room, schema: SCHEMA_VERSION };
+    delete data.version;
+
+    if (data.gameState) {
+        const gs = { ...data.gameState };
+
+        if (gs.alpha instanceof Set) gs.alpha = [...gs.alpha];
+        if (gs.beta instanceof Set) gs.beta = [...gs.beta];
+
+        // playerGameStates hands are plain arrays — fine as-is
+        data.gameState = gs;
+    }
+
+    return JSON.stringify(data);
+}
+
+/** JSON → room, migrated to the current schema and with its Sets rebuilt. */
+function deserializeRoom(json) {
+    if (!json) return null;
+
+    const data = JSON.parse(json);
+    migrate(data);
+
+    if (data.gameState) {
+        const gs = data.gameState;
+        if (Array.isArray(gs.alpha)) gs.alpha = new Set(gs.alpha);
+        if (Array.isArray(gs.beta)) gs.beta = new Set(gs.beta);
+    }
+
+    return data;
+}
+
+function migrate(room) {
+    const from = room.schema || 1;
+    if (from > SCHEMA_VERSION) {
+        throw new Error(`Room was saved with schema ${from}, newer than this server's ${SCHEMA_VERSION}`);
+    }
+    for (let schema = from; schema < SCHEMA_VERSION; schema++) MIGRATIONS[schema](room);
+    delete room.schema;
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    serializeRoom,
+    deserializeRoom,
+};
@@ -0,0 +1,130 @@
+// sessions.js
+// Seat ownership. Joining a room under a new name claims that name's seat
+// and returns a signed session token; coming back under the same name then
+// requires the token, so nobody can take over another player's hand just by
+// typing their name.
+//
+// Tokens are HMAC-SHA256 signed with a per-room key that is stored (and
+// persisted) with the room, so they keep working after a restore from Redis.
+// When SESSION_SECRET is set it is mixed into the key, so a copy of the
+// stored room alone is not enough to forge a token.
+//
+// A claim is held while its owner is connected, for SEAT_GRACE_SECONDS
+// after they disconnect, and for as long as they are dealt into an
+// unfinished game. After that the name is free again.
+
+const crypto = require('crypto');
+
+const SEAT_GRACE_SECONDS = parseInt(process.env.SEAT_GRACE_SECONDS || '120', 10);
+const SERVER_SECRET = process.env.SESSION_SECRET || '';
+
+function createRoomKey() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+function signingKey(roomKey) {
+    return SERVER_SECRET
+        ? crypto.createHmac('sha256', SERVER_SECRET).update(roomKey).digest()
+        : roomKey;
+}
+
+function sign(roomKey, payload) {
+    return crypto.createHmac('sha256', signingKey(roomKey)).update(payload).digest('base64url');
+}
+
+/** Token for `seatId`, formatted as base64url(JSON payload) + "." + signature. */
+function issueToken(roomKey, roomId, name, seatId) {
+    const payload = Buffer.from(JSON.stringify({ roomId, name, seatId, iat: Date.now() })).toString('base64url');
+    return `${payload}.${sign(roomKey, payload)}`;
+}
+
+/** Decoded payload of a correctly signed token, or null. */
+function verifyToken(roomKey, token) {
+    if (typeof token !== 'string' || !roomKey) return null;
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(sign(roomKey, payload));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+    try {
+        return JSON.parse(Buffer.from(payload, 'base64url').toString());
+    } catch {
+        return null;
+    }
+}
+
+function ensureSessions(room) {
+    room.sessionKey = room.sessionKey || createRoomKey();
+    room.seats = room.seats || {};
+}
+
+/**
+ * Who may use `name` in this room:
+ * - 'free'  nobody holds it (expired claims are dropped here)
+ * - 'owner' the token proves the caller holds it
+ * - 'held'  someone else holds it
+ * `inRunningGame` says whether the name is dealt into an unfinished game.
+ */
+function seatStatus(room, roomId, name, token, inRunningGame, now = Date.now()) {
+    ensureSessions(room);
+    const seat = room.seats[name];
+    if (!seat) return 'free';
+
+    const claims = verifyToken(room.sessionKey, token);
+    if (claims && claims.roomId === roomId && claims.name === name && claims.seatId === seat.seatId) {
+        return 'owner';
+    }
+
+    const expired = seat.heldUntil !== null && seat.heldUntil <= now;
+    if (expired && !inRunningGame) {
+        delete room.seats[name];
+        return 'free';
+    }
+    return 'held';
+}
+
+/** Claim `name` for a newly joined player and return their token. */
+function claimSeat(room, roomId, name) {
+    ensureSessions(room);
+    const seatId = crypto.randomBytes(12).toString('hex');
+    room.seats[name] = { seatId, heldUntil: null };
+    return issueToken(room.sessionKey, roomId, name, seatId);
+}
+
+/** A fresh token for the seat `name` already holds, or null if it holds none. */
+function sessionToken(room, roomId, name) {
+    const seat = room.seats?.[name];
+    return seat ? issueToken(room.sessionKey, roomId, name, seat.seatId) : null;
+}
+
+/** Drop the claim on `name`, e.g. when the host removes them. */
+function releaseSeat(room, name) {
+    if (room.seats) delete room.seats[name];
+}
+
+/** Owner is connected again: hold the seat for as long as they stay. */
+function markConnected(room, name) {
+    if (room.seats?.[name]) room.seats[name].heldUntil = null;
+}
+
+/**
+ * Owner left: keep the seat for the grace period. Also used on restore,
+ * where nobody is connected yet.
+ */
+function markDisconnected(room, name, now = Date.now()) {
+    if (room.seats?.[name]) room.seats[name].heldUntil = now + SEAT_GRACE_SECONDS * 1000;
+}
+
+module.exports = {
+    SEAT_GRACE_SECONDS,
+    issueToken,
+    verifyToken,
+    seatStatus,
+    claimSeat,
+    sessionToken,
+    releaseSeat,
+    markConnected,
+    markDisconnected,
+};
@@ -0,0 +1,101 @@
+// shuffle.js
+// Seeded, reproducible shuffling so every deal can be audited after the hand.
+//
+// Algorithm ("hmac-sha256-fisher-yates-v1"):
+//   - The seed is a hex string. Before the deal the server publishes
+//     seedHash = sha256(seed) and keeps the seed secret until gameOver.
+//   - Random numbers come from HMAC-SHA256(key = seed, message = `${label}:${counter}`)
+//     for counter = 0, 1, 2, ... Each 32-byte digest is read as eight
+//     big-endian uint32 values.
+//   - nextInt(n) uses rejection sampling: draws x until x < floor(2^32 / n) * n
+//     and returns x % n, so there is no modulo bias.
+//   - The deck (in the order given by public.defaultDeck) is shuffled with
+//     Fisher–Yates under the label "deal": for i from length-1 down to 1,
+//     swap i with nextInt(i + 1).
+//   - Cards are dealt round-robin starting with public.players[0].
+//   - Without a seated dealer (see match.js), the first bidder is
+//     nextInt(playerCount) under the label "firstBidder".
+
+const crypto = require('crypto');
+
+const SHUFFLE_ALGORITHM = 'hmac-sha256-fisher-yates-v1';
+
+const UINT32_RANGE = 2 ** 32;
+
+function generateSeed() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+function hashSeed(seed) {
+    return crypto.createHash('sha256').update(String(seed)).digest('hex');
+}
+
+/**
+ * Deterministic random stream for a seed and label.
+ * The same (seed, label) pair always yields the same sequence.
+ */
+function createRng(seed, label) {
+    let counter = 0;
+    let buffer = Buffer.alloc(0);
+    let offset = 0;
+
+    function nextUint32() {
+        if (offset + 4 > buffer.length) {
+            buffer = crypto.createHmac('sha256', String(seed))
+                .update(`${label}:${counter++}`)
+                .digest();
+            offset = 0;
+        }
+        const value = buffer.readUInt32BE(offset);
+        offset += 4;
+        return value;
+    }
+
+    function nextInt(n) {
+        if (!Number.isInteger(n) || n < 1) throw new Error(`Invalid range ${n}`);
+        const limit = Math.floor(UINT32_RANGE / n) * n;
+        let x = nextUint32();
+        while (x >= limit) x = nextUint32();
+        return x % n;
+    }
+
+    return { nextUint32, nextInt };
+}
+
+/** Fisher–Yates shuffle of a copy of `items`. */
+function shuffle(items, seed, label = 'deal') {
+    const rng = createRng(seed, label);
+    const out = [...items];
+    for (let i = out.length - 1; i > 0; i--) {
+        const j = rng.nextInt(i + 1);
+        [out[i], out[j]] = [out[j], out[i]];
+    }
+    return out;
+}
+
+/**
+ * Shuffle `deck` with `seed` and deal it round-robin to `playerNames`.
+ * Returns { [playerName]: Card[] }.
+ */
+function dealHands(deck, playerNames, seed) {
+    const hands = Object.fromEntries(playerNames.map(name => [name, []]));
+    shuffle(deck, seed).forEach((card, i) => {
+        hands[playerNames[i % playerNames.length]].push(card);
+    });
+    return hands;
+}
+
+/** Pick a value in [0, n) from its own labelled stream of `seed`. */
+function pickIndex(seed, label, n) {
+    return createRng(seed, label).nextInt(n);
+}
+
+module.exports = {
+    SHUFFLE_ALGORITHM,
+    generateSeed,
+    hashSeed,
+    createRng,
+    shuffle,
+    dealHands,
+    pickIndex,
+};
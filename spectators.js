@@ -0,0 +1,39 @@
+// spectators.js
+// What people watching a room get to see. Spectators receive the public
+// state live. Players' hands only reach them if the room turns that on, and
+// then only after a delay, so a spectator can't feed live hands to a player.
+
+// any shorter and the hands are as good as live at the table
+const MIN_DELAY_SECONDS = 30;
+const MAX_DELAY_SECONDS = 600;
+
+/** Live state for spectators: the same public state the players see. */
+function spectatorView(gameState, gameResults, stateVersion) {
+    return { public: gameState.public, gameResults, stateVersion };
+}
+
+/** Deep copy of every hand as it is right now, to be released later. */
+function handsSnapshot(gameState) {
+    const hands = Object.fromEntries(
+        Object.entries(gameState.playerGameStates).map(([name, state]) => [name, state.hand])
+    );
+    return {
+        takenAt: Date.now(),
+        stage: gameState.public.stage,
+        hands: JSON.parse(JSON.stringify(hands)),
+    };
+}
+
+/** null keeps hands hidden; otherwise whole seconds between the min and the max. */
+function isValidDelay(delaySeconds) {
+    return delaySeconds === null ||
+        (Number.isInteger(delaySeconds) && delaySeconds >= MIN_DELAY_SECONDS && delaySeconds <= MAX_DELAY_SECONDS);
+}
+
+module.exports = {
+    MIN_DELAY_SECONDS,
+    MAX_DELAY_SECONDS,
+    spectatorView,
+    handsSnapshot,
+    isValidDelay,
+};
@@ -0,0 +1,48 @@
+// store.js
+// Where rooms, player profiles and players are kept. STORE picks the backend:
+//
+//   redis   (default) Redis at REDIS_URL (redisClient.js). The only one that
+//           several instances can share (MULTI_INSTANCE, see cluster.js).
+//   memory  this process only, gone on restart (memoryStore.js)
+//   file    JSON files under STORE_DIR, default ./data (fileStore.js);
+//           one server process per directory
+//
+// Every backend provides the same async functions:
+//
+//   getRoom(roomId)             → room with its `version`, or null
+//   getRoomVersion(roomId)      → version of the saved room, 0 if none
+//   setRoom(roomId, room)       → false if the room was saved by someone else
+//                                 since room.version; bumps room.version
+//   deleteRoom(roomId)
+//   incrementProfile(name, deltas), getProfile(name)
+//   createPlayer(id, record), getPlayer(id), incrementPlayer(id, deltas),
+//   adjustRating(id, change)    → the new rating
+//   acquireLock(key, token, ms), renewLock(key, token, ms),
+//   releaseLock(key, token)
+//   close()
+//
+// Rooms go through serialization.js, so every backend stores the same
+// versioned JSON. Rooms expire ROOM_TTL_HOURS after their last save.
+
+const { createRedisStore } = require('./redisClient');
+const { createMemoryStore } = require('./memoryStore');
+const { createFileStore } = require('./fileStore');
+
+const ROOM_TTL_SECONDS = parseInt(process.env.ROOM_TTL_HOURS || '2', 10) * 60 * 60;
+
+const BACKENDS = {
+    redis: (options) => createRedisStore({ url: process.env.REDIS_URL, ...options }),
+    memory: (options) => createMemoryStore(options),
+    file: (options) => createFileStore({ dir: process.env.STORE_DIR || 'data', ...options }),
+};
+
+/** Open the backend named by STORE (or `name`). Throws for an unknown name. */
+function openStore(name = process.env.STORE || 'redis', options = {}) {
+    const create = BACKENDS[name];
+    if (!create) {
+        throw new Error(`Unknown STORE "${name}"; expected one of ${Object.keys(BACKENDS).join(', ')}`);
+    }
+    return create({ roomTtlSeconds: ROOM_TTL_SECONDS, ...options });
+}
+
+module.exports = { openStore };
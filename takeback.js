@@ -0,0 +1,62 @@
+// takeback.js
+// Taking back a move. Before a player's own move is applied, index.js keeps
+// a copy of the game state in room.lastMove. Until anyone moves again, that
+// player may ask for the move to be undone. The other humans at the table
+// vote: one refusal ends the request, and once all of them accept the copy
+// replaces the game state (hands, scores, turn and history alike).
+//
+// Copies are plain JSON (the alpha and beta Sets become arrays), so the
+// last move and an open request are saved with the room like everything
+// else.
+
+const TAKEBACK_SECONDS = parseInt(process.env.TAKEBACK_SECONDS || '30', 10);
+
+/** JSON-ready deep copy of a game state, without its socketMap. */
+function snapshotGame(gameState) {
+    const { socketMap, ...rest } = gameState;
+    const copy = structuredClone(rest);
+    copy.alpha = [...gameState.alpha];
+    copy.beta = [...gameState.beta];
+    return copy;
+}
+
+/** A live game state rebuilt from snapshotGame's copy. */
+function restoreGame(snapshot) {
+    const gameState = structuredClone(snapshot);
+    gameState.alpha = new Set(snapshot.alpha);
+    gameState.beta = new Set(snapshot.beta);
+    return gameState;
+}
+
+/**
+ * Open a request to undo `lastMove` ({ player, event, snapshot }), to be
+ * decided by `voters` (names) within TAKEBACK_SECONDS.
+ */
+function openRequest(lastMove, voters, now = Date.now()) {
+    return {
+        player: lastMove.player,
+        event: lastMove.event,
+        voters: [...voters],
+        accepted: [],
+        expiresAt: now + TAKEBACK_SECONDS * 1000,
+    };
+}
+
+/**
+ * Record `name`'s vote on an open request.
+ * Returns 'accepted' once every voter agreed, 'rejected' on a refusal and
+ * 'pending' while votes are missing.
+ */
+function castVote(request, name, accept) {
+    if (!accept) return 'rejected';
+    if (!request.accepted.includes(name)) request.accepted.push(name);
+    return request.voters.every(voter => request.accepted.includes(voter)) ? 'accepted' : 'pending';
+}
+
+module.exports = {
+    TAKEBACK_SECONDS,
+    snapshotGame,
+    restoreGame,
+    openRequest,
+    castVote,
+};
@@ -0,0 +1,222 @@
+// test/game.test.js
+// game.js on its own: random legal hands from the simulator, checked for the
+// invariants every finished hand must keep, plus the odd direct call.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const game = require('../game');
+const { MIN_SEATS, MAX_SEATS } = require('../lobby');
+const { APPLY, createRandom, playRandomGame } = require('./simulator');
+
+const GAMES_PER_SETUP = 100;
+
+// rule sets the hands are played under, each at every table size it allows
+const RULE_SETS = [
+    {},
+    { endCondition: 'playOut' },
+    { teamMode: 'fixed' },
+    { doubling: true, reentry: true },
+    { selfCall: 'allow', allPass: 'dealer', partnerFormula: 'fewer' },
+    { partnerFormula: 'one', bidStep: 10, deckPreset: 'noTwos' },
+];
+
+const sum = (values) => values.reduce((total, v) => total + v, 0);
+const cardKey = (card) => `${card.number} of ${card.suit}`;
+const seatNames = (count) => Array.from({ length: count }, (_, i) => `p${i}`);
+
+function checkInvariants(gameState) {
+    const pub = gameState.public;
+    const hands = Object.values(gameState.playerGameStates).map(s => s.hand);
+    const played = pub.tricks.flatMap(t => t.cards.map(c => c.card));
+
+    // every card of the deck is either in a hand or in exactly one trick
+    assert.deepEqual(
+        [...played, ...hands.flat()].map(cardKey).sort(),
+        pub.defaultDeck.map(cardKey).sort(),
+    );
+
+    // points: tricks and what's left in hands make up the deck
+    const trickPoints = sum(pub.tricks.map(t => t.points));
+    assert.equal(trickPoints + sum(hands.flat().map(c => c.value)), pub.totalPoints);
+    assert.equal(gameState.alphaScore + gameState.betaScore, trickPoints);
+    assert.equal(sum(Object.values(pub.playerScores)), trickPoints);
+
+    // hands shrink together and empty out when every trick is played
+    assert.equal(new Set(hands.map(h => h.length)).size, 1);
+    if (pub.rules.endCondition === 'playOut') assert.ok(hands.every(h => h.length === 0));
+
+    // the bidder leads, each trick goes round the table in seat order, and
+    // the strongest card (game.trickPower) takes it and leads the next
+    let leader = pub.highestBidder;
+    for (const trick of pub.tricks) {
+        const start = pub.players.indexOf(leader);
+        assert.deepEqual(
+            trick.cards.map(c => c.playerName),
+            pub.players.map((_, i) => pub.players[(start + i) % pub.playerCount]),
+        );
+        const best = trick.cards
+            .reduce((a, b) => (game.trickPower(pub, b.card) > game.trickPower(pub, a.card) ? b : a));
+        assert.equal(trick.winner, best.playerName);
+        assert.equal(trick.points, sum(trick.cards.map(c => c.card.value)));
+        leader = trick.winner;
+    }
+
+    // trick counters match the tricks themselves
+    const wonBy = (names) => pub.tricks.filter(t => names.includes(t.winner)).length;
+    assert.deepEqual(pub.tricksWon, Object.fromEntries(pub.players.map(name => [name, wonBy([name])])));
+    const teamTricks = pub.teams
+        ? Object.fromEntries(pub.teams.map(t => [t.name, wonBy(t.players)]))
+        : { alpha: wonBy([...gameState.alpha]), beta: wonBy([...gameState.beta]) };
+    assert.deepEqual(pub.teamTricks, teamTricks);
+
+    // two sides cover the table, and exactly one of them won
+    const alpha = [...gameState.alpha].sort();
+    const beta = [...gameState.beta].sort();
+    assert.ok(alpha.includes(pub.highestBidder));
+    assert.deepEqual([...alpha, ...beta].sort(), [...pub.players].sort());
+    const winners = [...pub.gameWinners].sort();
+    assert.ok(winners.length > 0);
+    if (pub.gameWinners.includes(pub.highestBidder)) {
+        assert.deepEqual(winners, alpha);
+        assert.ok(gameState.alphaScore >= pub.highestBid);
+    } else {
+        assert.deepEqual(winners, beta);
+        assert.ok(gameState.betaScore > pub.totalPoints - pub.highestBid);
+    }
+    assert.deepEqual(pub.finalScores, { alpha: gameState.alphaScore, beta: gameState.betaScore });
+    assert.equal(game.verifyDeal(pub).valid, true);
+}
+
+for (const rules of RULE_SETS) {
+    test(`random hands keep their invariants with rules ${JSON.stringify(rules)}`, () => {
+        for (let count = MIN_SEATS; count <= MAX_SEATS; count++) {
+            if (rules.teamMode === 'fixed' && count % 2 !== 0) continue;
+            for (let i = 0; i < GAMES_PER_SETUP; i++) {
+                const seed = `${count}-${i}`;
+                const random = createRandom(count * 1000 + i);
+                let gameState;
+                try {
+                    ({ gameState } = playRandomGame({ players: seatNames(count), rules, seed, random }));
+                    checkInvariants(gameState);
+                } catch (err) {
+                    err.message = `hand ${seed}: ${err.message}`;
+                    throw err;
+                }
+            }
+        }
+    });
+}
+
+test('only the player whose turn it is may act', () => {
+    const random = createRandom(7);
+    let checked = 0;
+    playRandomGame({
+        players: seatNames(5),
+        seed: 'turns',
+        random,
+        onAction(gameState, action) {
+            for (const other of gameState.public.players) {
+                if (other === action.player) continue;
+                const data = action.event === 'cardPlayed'
+                    ? gameState.playerGameStates[other].hand[0]
+                    : action.data;
+                if (!data) continue;
+                const result = APPLY[action.event](gameState, other, data);
+                assert.equal(result.status, 'error', `${other} acted out of turn: ${action.event}`);
+                checked++;
+            }
+        },
+    });
+    assert.ok(checked > 0);
+});
+
+test('legal moves list exactly what the game accepts', () => {
+    const validation = require('../validation');
+    for (let i = 0; i < 20; i++) {
+        playRandomGame({
+            players: seatNames(4 + (i % 5)),
+            rules: i % 2 ? { doubling: true, bidStep: 10 } : {},
+            seed: `legal-${i}`,
+            random: createRandom(i),
+            onAction(gameState, action) {
+                const pub = gameState.public;
+                for (const other of pub.players.filter(p => p !== action.player)) {
+                    const idle = game.getLegalMoves(gameState, other);
+                    assert.deepEqual(idle, { bids: [], powerSuits: [], partners: null, doubleCalls: [], cards: [] });
+                }
+
+                const moves = game.getLegalMoves(gameState, action.player);
+                const name = action.player;
+                switch (pub.stage) {
+                    case 'auction':
+                        assert.ok(moves.bids.every(amount => validation.checkBid(gameState, name, amount).ok));
+                        assert.equal(validation.checkBid(gameState, name, pub.highestBid + 1).ok,
+                            moves.bids.includes(pub.highestBid + 1));
+                        if (action.data !== 0) assert.ok(moves.bids.includes(action.data));
+                        break;
+                    case 'powerSuitSelection':
+                        assert.ok(moves.powerSuits.includes(action.data));
+                        break;
+                    case 'partnerSelection':
+                        assert.ok(action.data.length <= moves.partners.count);
+                        for (const card of action.data) {
+                            assert.ok(moves.partners.cards.some(c => c.suit === card.suit && c.number === card.number));
+                        }
+                        break;
+                    case 'doubling':
+                        assert.ok(moves.doubleCalls.includes(action.data));
+                        break;
+                    case 'playing': {
+                        const hand = gameState.playerGameStates[name].hand;
+                        assert.deepEqual(moves.cards, hand.filter(card => validation.checkPlay(gameState, name, card).ok));
+                        break;
+                    }
+                }
+            },
+        });
+    }
+});
+
+test('playCard returns the trick it completes', () => {
+    let completed = 0;
+    const { gameState } = playRandomGame({
+        players: seatNames(4),
+        rules: { teamMode: 'fixed' },
+        seed: 'tricks',
+        random: createRandom(3),
+        onResult(state, action, result) {
+            if (action.event !== 'cardPlayed') return;
+            const { tricks, round, playerCount } = state.public;
+            if (round.length < playerCount) {
+                assert.equal(result.trick, null);
+            } else {
+                assert.equal(result.trick, tricks[tricks.length - 1]);
+                assert.equal(result.trick.number, tricks.length);
+                assert.equal(sum(Object.values(state.public.teamTricks)), tricks.length);
+                completed++;
+            }
+        },
+    });
+    assert.equal(completed, gameState.public.tricks.length);
+});
+
+test('game actions do not leak a global messages array', () => {
+    const { gameState } = playRandomGame({ players: seatNames(4), seed: 'globals', random: createRandom(1) });
+    assert.equal(gameState.public.stage, 'gameOver');
+    assert.equal('messages' in globalThis, false);
+    assert.equal('card' in globalThis, false);
+});
+
+test('each action returns its own messages', () => {
+    const gameState = game.initialGameState(seatNames(4).map(name => ({ name })), { seed: 'messages' });
+    const bidder = game.getActivePlayer(gameState);
+    const bid = game.placeBid(gameState, bidder, gameState.public.maximumBid);
+    assert.equal(bid.auctionWon, true);
+
+    const suit = game.selectPowerSuit(gameState, bidder, 'Spades');
+    assert.deepEqual(suit.messages, [{ type: 'powerSuit', player: bidder, suit: 'Spades' }]);
+
+    const partners = game.selectPartners(gameState, bidder, []);
+    assert.deepEqual(partners.messages, []);
+    assert.notEqual(partners.messages, suit.messages);
+});
@@ -0,0 +1,48 @@
+// test/match.test.js
+// match.js: hands dealt by a match, played out by the simulator and scored
+// back into the match until it ends.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const matches = require('../match');
+const { createRandom, playRandomGame } = require('./simulator');
+
+const PLAYERS = ['a', 'b', 'c', 'd'];
+
+test('a match scores every hand and ends after maxHands', () => {
+    const match = matches.createMatch(PLAYERS, {
+        scoring: 'bidPenalty',
+        targetScore: null,
+        maxHands: 3,
+        rules: { doubling: true },
+    });
+    const random = createRandom(5);
+
+    for (let hand = 1; hand <= 3; hand++) {
+        const dealt = matches.startHand(match);
+        assert.equal(match.players[match.dealerIndex], PLAYERS[hand - 1]);
+        const { gameState } = playRandomGame({ gameState: dealt, random });
+
+        const before = { ...match.scores };
+        const summary = matches.recordHand(match, gameState);
+        const pub = gameState.public;
+        const award = summary.made ? pub.highestBid : -pub.highestBid;
+        for (const p of summary.bidders) assert.equal(match.scores[p] - before[p], award * pub.multiplier);
+        for (const p of summary.defenders) assert.equal(match.scores[p], before[p]);
+        assert.equal(summary.handNumber, hand);
+        assert.equal(match.handInProgress, false);
+    }
+
+    assert.equal(match.stage, 'finished');
+    const top = Math.max(...Object.values(match.scores));
+    assert.deepEqual(match.winners, PLAYERS.filter(p => match.scores[p] === top));
+    assert.throws(() => matches.startHand(match), /already finished/);
+});
+
+test('a hand the rules cannot deal leaves the match as it was', () => {
+    // no room between the minimum bid and the highest possible one
+    const match = matches.createMatch(PLAYERS, { rules: { minimumBid: 240, bidStep: 50 } });
+    const before = structuredClone(match);
+    assert.throws(() => matches.startHand(match), /Minimum bid/);
+    assert.deepEqual(match, before);
+});
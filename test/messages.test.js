@@ -0,0 +1,46 @@
+// test/messages.test.js
+// messages.js: every message a hand produces has wording in every language,
+// and messages fall back to English where a language has none.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { LANGUAGE_CODES, message, renderMessage } = require('../messages');
+const { createRandom, playRandomGame } = require('./simulator');
+
+test('every message of a hand renders in every language', () => {
+    const seen = new Set();
+    for (const [i, rules] of [{}, { doubling: true }, { teamMode: 'fixed' }, { allPass: 'dealer' }].entries()) {
+        playRandomGame({
+            players: ['a', 'b', 'c', 'd', 'e', 'f'],
+            rules,
+            seed: `messages-${i}`,
+            random: createRandom(i),
+            onResult(gameState, action, result) {
+                for (const msg of result.messages) {
+                    seen.add(msg.type);
+                    for (const language of LANGUAGE_CODES) {
+                        const text = renderMessage(msg, language);
+                        assert.equal(typeof text, 'string');
+                        assert.doesNotMatch(text, /undefined|\[object/, `${msg.type} in ${language}: ${text}`);
+                    }
+                }
+            },
+        });
+    }
+    assert.ok(seen.has('cardPlayed') && seen.has('trickWon') && seen.has('gameWon'));
+});
+
+test('cards and suits are named in the reader\'s language', () => {
+    const played = message('cardPlayed', { player: 'asha', card: { suit: 'Spades', number: 'Ace' } });
+    assert.equal(renderMessage(played, 'en'), 'asha played Ace of Spades');
+    assert.equal(renderMessage(played, 'hi'), 'asha ने हुकुम का इक्का खेला');
+    assert.equal(renderMessage(played, 'gu'), 'asha એ કાળીનો એક્કો રમ્યું');
+});
+
+test('unknown languages, untranslated types and old text fall back', () => {
+    const bid = message('bid', { player: 'a', amount: 150 });
+    assert.equal(renderMessage(bid, 'fr'), 'a placed a bid of 150');
+    assert.equal(renderMessage(message('text', { text: 'Bad rules' }), 'hi'), 'Bad rules');
+    assert.equal(renderMessage('a passes', 'gu'), 'a passes');
+    assert.throws(() => message('nonsense'), /Unknown message type/);
+});
@@ -0,0 +1,61 @@
+// test/serialization.test.js
+// Stored rooms: the round trip every store backend relies on, and the
+// migrations that bring rooms saved by older servers up to date.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { SCHEMA_VERSION, serializeRoom, deserializeRoom } = require('../serialization');
+const { MIN_DELAY_SECONDS } = require('../spectators');
+
+test('a room survives the round trip with its teams as Sets', () => {
+    const room = {
+        version: 7,
+        lobby: { host: 'a', seats: ['a', 'b'] },
+        gameState: { public: { stage: 'playing' }, alpha: new Set(['a']), beta: new Set(['b']) },
+    };
+    const json = serializeRoom(room);
+    assert.equal(JSON.parse(json).schema, SCHEMA_VERSION);
+    assert.equal('version' in JSON.parse(json), false);
+    assert.ok(room.gameState.alpha instanceof Set, 'the live room is left alone');
+
+    const loaded = deserializeRoom(json);
+    assert.deepEqual([...loaded.gameState.alpha], ['a']);
+    assert.deepEqual([...loaded.gameState.beta], ['b']);
+    assert.equal('schema' in loaded, false);
+});
+
+test('rooms from before schemas get a lobby and trick counters', () => {
+    const legacy = JSON.stringify({
+        host: 'a',
+        bots: [],
+        gameState: {
+            public: {
+                stage: 'gameOver',
+                players: ['a', 'b', 'c', 'd'],
+                teams: null,
+                tricks: [{ winner: 'a' }, { winner: 'c' }, { winner: 'a' }],
+            },
+            alpha: ['a', 'b'],
+            beta: ['c', 'd'],
+        },
+    });
+    const room = deserializeRoom(legacy);
+    assert.equal(room.lobby.host, 'a');
+    assert.deepEqual(room.gameState.public.tricksWon, { a: 2, b: 0, c: 1, d: 0 });
+    assert.deepEqual(room.gameState.public.teamTricks, { alpha: 2, beta: 1 });
+});
+
+test('messages stored as text become text messages', () => {
+    const bid = { type: 'bid', player: 'a', amount: 150 };
+    const room = deserializeRoom(JSON.stringify({ schema: 3, lobby: {}, messages: ['a passes', bid] }));
+    assert.deepEqual(room.messages, [{ type: 'text', text: 'a passes' }, bid]);
+});
+
+test('spectator delays below the minimum are raised to it', () => {
+    const room = deserializeRoom(JSON.stringify({ schema: 4, lobby: { spectatorDelaySeconds: 0 }, messages: [] }));
+    assert.equal(room.lobby.spectatorDelaySeconds, MIN_DELAY_SECONDS);
+});
+
+test('rooms saved by a newer server are refused', () => {
+    assert.throws(() => deserializeRoom(JSON.stringify({ schema: SCHEMA_VERSION + 1 })), /newer/);
+});
@@ -0,0 +1,429 @@
+// test/server.test.js
+// index.js over real sockets: the server runs in this process on a free
+// port with the in-memory store, and socket.io-client plays the clients.
+
+process.env.STORE = 'memory';
+process.env.BOT_DELAY_MS = '0';
+process.env.QUEUE_TABLE_SIZE = '4';
+delete process.env.MULTI_INSTANCE;
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { io: connect } = require('socket.io-client');
+const game = require('../game');
+const { server, io, store } = require('../index');
+
+let url;
+const clients = [];
+
+before(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    clients.forEach(client => client.disconnect());
+    await new Promise(resolve => io.close(resolve));
+    await store.close();
+});
+
+function client() {
+    const socket = connect(url, { forceNew: true, transports: ['websocket'] });
+    clients.push(socket);
+    return socket;
+}
+
+/** The next `event` on `socket` (optionally the next one passing `filter`). */
+function next(socket, event, filter = () => true, ms = 5000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            socket.off(event, listener);
+            reject(new Error(`No ${event} within ${ms}ms`));
+        }, ms);
+        function listener(data) {
+            if (!filter(data)) return;
+            clearTimeout(timer);
+            socket.off(event, listener);
+            resolve(data);
+        }
+        socket.on(event, listener);
+    });
+}
+
+async function join(socket, roomId, name, token) {
+    const session = next(socket, 'sessionToken');
+    socket.emit('joinRoom', { roomId, name, token });
+    return session;
+}
+
+async function api(path, options) {
+    const res = await fetch(url + path, options);
+    return { status: res.status, body: res.status === 204 ? null : await res.json() };
+}
+
+/**
+ * Act for `name` whenever the game waits on them: pass every bid, pick
+ * the first power suit, call no partners and play the first legal card.
+ * Each state version is answered at most once.
+ */
+function autoplay(socket, name) {
+    let answered = -1;
+    socket.on('gameStateUpdate', ({ public: pub, legalMoves, stateVersion }) => {
+        if (stateVersion <= answered || game.getActivePlayer({ public: pub }) !== name) return;
+        answered = stateVersion;
+        switch (pub.stage) {
+            case 'auction': return socket.emit('bidPlaced', 'pass');
+            case 'powerSuitSelection': return socket.emit('powerSuitSelected', legalMoves.powerSuits[0]);
+            case 'partnerSelection': return socket.emit('partnersSelected', []);
+            case 'playing': {
+                const [card] = legalMoves.cards;
+                return socket.emit('cardPlayed', { suit: card.suit, number: card.number });
+            }
+        }
+    });
+}
+
+test('the first player in a room hosts it and gets a session token', async () => {
+    const alice = client();
+    const lobby = next(alice, 'lobbyUpdate');
+    const session = await join(alice, 'hosting', 'alice');
+    assert.equal(session.name, 'alice');
+    assert.equal(typeof session.token, 'string');
+    const view = await lobby;
+    assert.equal(view.host, 'alice');
+});
+
+test('malformed payloads are answered with an error code', async () => {
+    const socket = client();
+    const error = next(socket, 'actionError');
+    socket.emit('joinRoom', { roomId: 'no spaces allowed', name: 'bob' });
+    assert.deepEqual(
+        { event: (await error).event, code: (await error).code },
+        { event: 'joinRoom', code: 'INVALID_ROOM_ID' },
+    );
+
+    const liveHands = next(socket, 'actionError');
+    socket.emit('spectatorSettings', { delaySeconds: 0 });
+    assert.equal((await liveHands).code, 'INVALID_PAYLOAD');
+
+    for (const [event, data] of [['addBot', { difficulty: 'expert' }], ['removeBot', {}], ['matchStart', { targetScore: -5 }]]) {
+        const refused = next(socket, 'actionError');
+        socket.emit(event, data);
+        assert.deepEqual({ event: (await refused).event, code: (await refused).code }, { event, code: 'INVALID_PAYLOAD' });
+    }
+
+    const notInRoom = next(socket, 'actionError');
+    socket.emit('cardPlayed', { suit: 'Spades', number: 'Ace' });
+    assert.equal((await notInRoom).code, 'NOT_IN_ROOM');
+});
+
+test('players joining at the same moment all get a seat', async () => {
+    const names = ['p1', 'p2', 'p3', 'p4', 'p5'];
+    const sockets = names.map(() => client());
+    await Promise.all(sockets.map(s => new Promise(resolve => s.once('connect', resolve))));
+    await Promise.all(sockets.map((s, i) => join(s, 'crowd', names[i])));
+
+    const { body } = await api('/api/rooms/crowd');
+    assert.deepEqual([...body.lobby.seats.map(seat => seat.name)].sort(), names);
+});
+
+test('a seat can only be reclaimed with its session token', async () => {
+    const first = client();
+    const { token } = await join(first, 'reclaim', 'carol');
+    const keep = client();
+    await join(keep, 'reclaim', 'dave'); // keeps the room in memory
+    first.disconnect();
+    await next(keep, 'memberList', list => !list.includes('carol'));
+
+    const impostor = client();
+    const refused = next(impostor, 'actionError');
+    impostor.emit('joinRoom', { roomId: 'reclaim', name: 'carol' });
+    assert.equal((await refused).code, 'SEAT_HELD');
+
+    const back = client();
+    assert.equal((await join(back, 'reclaim', 'carol', token)).name, 'carol');
+});
+
+test('a hand against bots plays to the end with rising state versions', async () => {
+    const host = client();
+    await join(host, 'botgame', 'host');
+    for (let i = 0; i < 3; i++) host.emit('addBot', { difficulty: 'easy' });
+    await next(host, 'lobbyUpdate', lobby => lobby.seats.length === 4);
+
+    const versions = [];
+    const tricks = [];
+    host.on('gameStateUpdate', update => versions.push(update.stateVersion));
+    host.on('trickComplete', trick => tricks.push(trick));
+    autoplay(host, 'host');
+    const over = next(host, 'gameStateUpdate', update => update.public.stage === 'gameOver', 15000);
+    host.emit('playerReady', { ready: true });
+    host.emit('gameStart', { rules: { minimumBid: 200 } }); // rules only change through roomRules
+    const final = await over;
+
+    assert.equal(final.public.minimumBid, 120);
+    assert.ok(final.public.gameWinners.length > 0);
+    assert.ok(versions.every((v, i) => i === 0 || v >= versions[i - 1]), `versions went down: ${versions}`);
+    assert.deepEqual(tricks.map(t => t.number), final.public.tricks.map(t => t.number));
+    const last = tricks[tricks.length - 1];
+    assert.deepEqual(last.tricksWon, final.public.tricksWon);
+    assert.equal(last.winner, final.public.tricks[final.public.tricks.length - 1].winner);
+
+    const state = await api('/api/rooms/botgame/state');
+    assert.equal(state.body.public.stage, 'gameOver');
+    assert.equal(state.body.stateVersion, versions[versions.length - 1]);
+    assert.equal('playerGameStates' in state.body, false);
+
+    const results = await api('/api/rooms/botgame/results');
+    assert.equal(results.body.gameResults.length, 1);
+});
+
+test('rules the table could not be dealt with are refused when they are set', async () => {
+    const host = client();
+    await join(host, 'odd-table', 'host');
+    for (let i = 0; i < 4; i++) host.emit('addBot', { difficulty: 'easy' });
+    await next(host, 'lobbyUpdate', lobby => lobby.seats.length === 5);
+
+    for (const rules of [{ teamMode: 'fixed' }, { minimumBid: 250 }]) {
+        const refused = next(host, 'actionError');
+        host.emit('roomRules', { rules });
+        assert.equal((await refused).code, 'INVALID_RULES');
+    }
+    const { body } = await api('/api/rooms/odd-table');
+    assert.deepEqual(body.rules, {});
+});
+
+test('a table that no longer suits the room\'s rules is told so with a code', async () => {
+    const host = client();
+    await join(host, 'grown-table', 'host');
+    for (let i = 0; i < 3; i++) host.emit('addBot', { difficulty: 'easy' });
+    await next(host, 'lobbyUpdate', lobby => lobby.seats.length === 4);
+    host.emit('roomRules', { rules: { teamMode: 'fixed' } });
+    await next(host, 'lobbyUpdate', lobby => lobby.rules.teamMode === 'fixed');
+    host.emit('addBot', { difficulty: 'easy' });
+    await next(host, 'lobbyUpdate', lobby => lobby.seats.length === 5);
+    host.emit('playerReady', { ready: true });
+
+    for (const event of ['gameStart', 'matchStart']) {
+        const refused = next(host, 'actionError');
+        host.emit(event);
+        assert.deepEqual({ event: (await refused).event, code: (await refused).code }, { event, code: 'INVALID_RULES' });
+    }
+    const { body } = await api('/api/rooms/grown-table');
+    assert.equal(body.match, null);
+});
+
+test('players get their legal moves and can ask for a hint on their turn', async () => {
+    const host = client();
+    await join(host, 'hints', 'host');
+    const noGame = next(host, 'actionError');
+    host.emit('hintRequested');
+    assert.equal((await noGame).code, 'NO_GAME');
+
+    for (let i = 0; i < 3; i++) host.emit('addBot', { difficulty: 'easy' });
+    await next(host, 'lobbyUpdate', lobby => lobby.seats.length === 4);
+    const myTurn = next(host, 'gameStateUpdate', update => game.getActivePlayer({ public: update.public }) === 'host');
+    host.emit('playerReady', { ready: true });
+    host.emit('gameStart');
+    const { public: pub, legalMoves } = await myTurn;
+
+    const hint = next(host, 'hint');
+    host.emit('hintRequested');
+    const { event, data } = await hint;
+    switch (pub.stage) {
+        case 'auction':
+            assert.equal(event, 'bidPlaced');
+            assert.ok(data === 0 || legalMoves.bids.includes(data));
+            break;
+        case 'powerSuitSelection':
+            assert.equal(event, 'powerSuitSelected');
+            assert.ok(legalMoves.powerSuits.includes(data));
+            break;
+        default:
+            assert.fail(`unexpected first stage ${pub.stage}`);
+    }
+});
+
+test('registered players are kept in the store', async () => {
+    const socket = client();
+    const identity = next(socket, 'playerIdentity');
+    socket.emit('register', { name: 'erin' });
+    const { id, token } = await identity;
+
+    const { status, body } = await api(`/api/players/${id}`);
+    assert.equal(status, 200);
+    assert.equal(body.name, 'erin');
+
+    const again = client();
+    const known = next(again, 'playerIdentity');
+    again.emit('identify', { token });
+    assert.equal((await known).id, id);
+});
+
+test('a move is taken back only when the rest of the table agrees', async () => {
+    const names = ['t0', 't1', 't2', 't3'];
+    const sockets = Object.fromEntries(names.map(name => [name, client()]));
+    for (const name of names) await join(sockets[name], 'takeback', name);
+    const ready = next(sockets.t0, 'lobbyUpdate', lobby => lobby.seats.every(seat => seat.ready));
+    for (const name of names) sockets[name].emit('playerReady', { ready: true });
+    await ready;
+
+    const update = (name, filter) => next(sockets[name], 'gameStateUpdate', filter);
+    const activeIn = ({ public: pub }) => game.getActivePlayer({ public: pub });
+    const started = update('t0', () => true);
+    sockets.t0.emit('gameStart');
+    const first = await started;
+    const a = activeIn(first);
+
+    // a bids; b is up next
+    const afterA = update('t0', u => u.stateVersion > first.stateVersion && activeIn(u) !== a);
+    sockets[a].emit('bidPlaced', first.public.highestBid + first.public.rules.bidStep);
+    const b = activeIn(await afterA);
+    const voters = names.filter(name => name !== a);
+
+    const notYours = next(sockets[b], 'actionError');
+    sockets[b].emit('takebackRequested');
+    assert.equal((await notYours).code, 'NOTHING_TO_TAKE_BACK');
+
+    // one refusal keeps the bid, and it can't be asked about again
+    const opened = next(sockets[b], 'takebackUpdate');
+    sockets[a].emit('takebackRequested');
+    assert.deepEqual((await opened).voters.sort(), voters);
+
+    const blocked = next(sockets[b], 'actionError');
+    sockets[b].emit('bidPlaced', 'pass');
+    assert.equal((await blocked).code, 'TAKEBACK_PENDING');
+
+    const refused = next(sockets[a], 'takebackResolved');
+    sockets[b].emit('takebackVote', { accept: false });
+    assert.deepEqual(await refused, { player: a, event: 'bidPlaced', outcome: 'rejected', by: b });
+
+    const again = next(sockets[a], 'actionError');
+    sockets[a].emit('takebackRequested');
+    assert.equal((await again).code, 'NOTHING_TO_TAKE_BACK');
+
+    // b passes, then everyone else lets b take it back
+    const { body: beforeB } = await api('/api/rooms/takeback/state');
+    const afterB = update('t0', u => u.stateVersion > beforeB.stateVersion && activeIn(u) !== b);
+    sockets[b].emit('bidPlaced', 'pass');
+    await afterB;
+
+    const asked = next(sockets[a], 'takebackUpdate');
+    sockets[b].emit('takebackRequested');
+    await asked;
+    const restored = update('t0', u => activeIn(u) === b && u.stateVersion > beforeB.stateVersion + 1);
+    const accepted = next(sockets[b], 'takebackResolved');
+    for (const name of names.filter(name => name !== b)) sockets[name].emit('takebackVote', { accept: true });
+    assert.equal((await accepted).outcome, 'accepted');
+
+    const { public: pub } = await restored;
+    assert.deepEqual(pub.bidders, beforeB.public.bidders);
+    assert.equal(pub.highestBid, beforeB.public.highestBid);
+});
+
+test('game messages come as data and as text in each client\'s language', async () => {
+    const hari = client();
+    const data = next(hari, 'gameMessage', msg => msg.type === 'joined');
+    const hindi = next(hari, 'message');
+    hari.emit('joinRoom', { roomId: 'languages', name: 'hari', language: 'hi' });
+    assert.deepEqual(await data, { type: 'joined', player: 'hari' });
+    assert.equal(await hindi, 'hari कमरे में आए');
+
+    const guest = client();
+    const english = next(guest, 'message');
+    const seenByHari = next(hari, 'message');
+    await join(guest, 'languages', 'guest');
+    assert.equal(await english, 'User guest joined the room');
+    assert.equal(await seenByHari, 'guest कमरे में आए');
+
+    // the stored history comes back in the new language
+    const history = next(guest, 'bulkMessage');
+    guest.emit('setLanguage', { language: 'gu' });
+    assert.deepEqual(await history, ['hari રૂમમાં આવ્યા', 'guest રૂમમાં આવ્યા']);
+
+    // joining again in another language leaves the old name and language behind
+    const texts = [];
+    hari.on('message', text => texts.push(text));
+    const rejoined = next(hari, 'gameMessage', msg => msg.type === 'joined' && msg.player === 'hari2');
+    const members = next(hari, 'memberList', names => names.includes('hari2'));
+    hari.emit('joinRoom', { roomId: 'languages', name: 'hari2', language: 'gu' });
+    await rejoined;
+    assert.deepEqual(await members, ['guest', 'hari2']);
+    await next(hari, 'bulkMessage').catch(() => {});
+    assert.deepEqual(texts.filter(text => text.startsWith('hari2')), ['hari2 રૂમમાં આવ્યા']);
+
+    const stranger = client();
+    const refused = next(stranger, 'actionError');
+    stranger.emit('joinRoom', { roomId: 'languages', name: 'x', language: 'xx' });
+    assert.equal((await refused).code, 'INVALID_LANGUAGE');
+});
+
+test('a match being played is not replaced by another matchStart', async () => {
+    const host = client();
+    await join(host, 'match', 'host');
+    for (let i = 0; i < 3; i++) host.emit('addBot', { difficulty: 'easy' });
+    await next(host, 'lobbyUpdate', lobby => lobby.seats.length === 4);
+
+    autoplay(host, 'host');
+    const scored = next(host, 'matchStateUpdate', match => match.hands.length === 1, 15000);
+    host.emit('playerReady', { ready: true });
+    host.emit('matchStart', { targetScore: 1000 });
+    const { stage, hands } = await scored;
+    assert.equal(stage, 'playing');
+    assert.equal(hands[0].handNumber, 1);
+
+    const refused = next(host, 'actionError');
+    host.emit('matchStart');
+    assert.equal((await refused).code, 'MATCH_IN_PROGRESS');
+});
+
+test('a seated player who registers has their games kept under their id', async () => {
+    const asha = client();
+    await join(asha, 'profiles', 'asha');
+    const identity = next(asha, 'playerIdentity');
+    asha.emit('register', { name: 'asha' });
+    const { id } = await identity;
+
+    for (let i = 0; i < 3; i++) asha.emit('addBot', { difficulty: 'easy' });
+    await next(asha, 'lobbyUpdate', lobby => lobby.seats.length === 4);
+    autoplay(asha, 'asha');
+    const over = next(asha, 'gameStateUpdate', update => update.public.stage === 'gameOver', 15000);
+    asha.emit('playerReady', { ready: true });
+    asha.emit('gameStart');
+    await over;
+
+    const player = await api(`/api/players/${id}`);
+    assert.equal(player.body.gamesPlayed, 1);
+    assert.equal((await api('/api/profiles/asha')).status, 404);
+});
+
+test('bots, kicks, rule changes and hand views are refused in a ranked room', async () => {
+    const names = ['r0', 'r1', 'r2', 'r3'];
+    const sockets = names.map(() => client());
+    const found = sockets.map(socket => next(socket, 'matchFound'));
+    for (const [i, socket] of sockets.entries()) {
+        const identity = next(socket, 'playerIdentity');
+        socket.emit('register', { name: names[i] });
+        await identity;
+        socket.emit('queueJoin');
+    }
+    const { roomId } = await found[0];
+
+    await join(sockets[0], roomId, 'r0');
+    const refused = next(sockets[0], 'actionError');
+    sockets[0].emit('addBot', { difficulty: 'easy' });
+    assert.equal((await refused).code, 'BOTS_DISABLED');
+
+    const attempts = [
+        ['kickPlayer', { name: 'r1' }],
+        ['roomRules', { rules: { minimumBid: 150 } }],
+        ['spectatorSettings', { delaySeconds: 60 }],
+    ];
+    for (const [event, data] of attempts) {
+        const error = next(sockets[0], 'actionError');
+        sockets[0].emit(event, data);
+        assert.deepEqual({ event: (await error).event, code: (await error).code }, { event, code: 'RANKED_ROOM' });
+    }
+    const { body } = await api(`/api/rooms/${roomId}`);
+    assert.deepEqual(body.lobby.seats.map(seat => seat.name).sort(), names);
+    assert.deepEqual(body.rules, {});
+});
@@ -0,0 +1,115 @@
+// test/simulator.js
+// Plays whole hands straight through game.js, with no server: whoever the
+// game is waiting on picks a random legal action. game.test.js runs
+// thousands of these and checks the finished states. Randomness comes from
+// a seeded generator, so a failing hand can be played again from its seed.
+
+const game = require('../game');
+const validation = require('../validation');
+const { SUITS } = require('../deck');
+const { partnerCount } = require('../rules');
+
+// the game function behind each client event
+const APPLY = {
+    bidPlaced: game.placeBid,
+    powerSuitSelected: game.selectPowerSuit,
+    partnersSelected: game.selectPartners,
+    doubleCalled: game.callDouble,
+    cardPlayed: game.playCard,
+};
+
+/** mulberry32: a small seeded generator returning floats in [0, 1). */
+function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const pick = (random, list) => list[Math.floor(random() * list.length)];
+
+// pass about half the time, otherwise raise by a few steps at most
+function randomBid(gameState, random) {
+    const pub = gameState.public;
+    const raises = [];
+    for (let amount = pub.highestBid + pub.rules.bidStep; amount <= pub.maximumBid && raises.length < 4;
+        amount += pub.rules.bidStep) {
+        raises.push(amount);
+    }
+    return raises.length === 0 || random() < 0.5 ? 0 : pick(random, raises);
+}
+
+// up to the allowed number of distinct cards the rules let the bidder call
+function randomPartners(gameState, name, random) {
+    const pub = gameState.public;
+    const count = Math.floor(random() * (partnerCount(pub.rules, pub.playerCount) + 1));
+    const candidates = pub.defaultDeck.filter(card => validation.checkPartners(gameState, name, [card]).ok);
+    const cards = [];
+    while (cards.length < count && candidates.length > 0) {
+        const [card] = candidates.splice(Math.floor(random() * candidates.length), 1);
+        cards.push({ suit: card.suit, number: card.number });
+    }
+    return cards;
+}
+
+/** A random legal { event, data } for `name`, who must be the active player. */
+function randomAction(gameState, name, random) {
+    switch (gameState.public.stage) {
+        case 'auction':
+            return { event: 'bidPlaced', data: randomBid(gameState, random) };
+        case 'powerSuitSelection':
+            return { event: 'powerSuitSelected', data: pick(random, SUITS) };
+        case 'partnerSelection':
+            return { event: 'partnersSelected', data: randomPartners(gameState, name, random) };
+        case 'doubling': {
+            const calls = validation.DOUBLE_CALLS.filter(call => validation.checkDouble(gameState, name, call).ok);
+            return { event: 'doubleCalled', data: pick(random, calls) };
+        }
+        case 'playing': {
+            const card = pick(random, game.getLegalCards(gameState, name));
+            return { event: 'cardPlayed', data: { suit: card.suit, number: card.number } };
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Deal a hand to `players` (names), or take the one already dealt in
+ * `gameState`, and play it to the end.
+ * `onAction(gameState, action)` is called before each action is applied,
+ * `onResult(gameState, action, result)` after.
+ * Returns { gameState, actions }; throws if a picked action is refused or
+ * the hand runs far longer than a hand can.
+ */
+function playRandomGame({ players, rules = {}, seed, random, gameState: dealt, onAction, onResult }) {
+    const gameState = dealt || game.initialGameState(players.map(name => ({ name })), { rules, seed });
+    const actions = [];
+    const limit = gameState.public.defaultDeck.length + 20 * gameState.public.playerCount;
+
+    while (gameState.public.stage !== 'gameOver') {
+        const player = game.getActivePlayer(gameState);
+        const action = { player, ...randomAction(gameState, player, random) };
+        if (onAction) onAction(gameState, action);
+
+        const result = APPLY[action.event](gameState, player, action.data);
+        if (result.status === 'error') {
+            throw new Error(`${player}'s ${action.event} ${JSON.stringify(action.data)} was refused: ${result.messages[0]}`);
+        }
+        if (onResult) onResult(gameState, action, result);
+        actions.push(action);
+        if (actions.length > limit) throw new Error(`Hand ${seed} did not end after ${limit} actions`);
+    }
+    return { gameState, actions };
+}
+
+module.exports = {
+    APPLY,
+    createRandom,
+    randomAction,
+    playRandomGame,
+};
@@ -0,0 +1,55 @@
+// test/takeback.test.js
+// takeback.js on its own: snapshots taken before random moves must bring
+// the game back exactly, and votes must need everyone.
+
+// the game state as a store would give it back: cards lose their class
+const stored = (gameState) => deserializeRoom(serializeRoom({ gameState })).gameState;
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const takeback = require('../takeback');
+const { serializeRoom, deserializeRoom } = require('../serialization');
+const { APPLY, createRandom, playRandomGame } = require('./simulator');
+
+test('a snapshot undoes any move and the move can then be made again', () => {
+    for (const rules of [{}, { doubling: true }, { teamMode: 'fixed' }]) {
+        let undone = 0;
+        let snapshot;
+        let before;
+        playRandomGame({
+            players: ['a', 'b', 'c', 'd'],
+            rules,
+            seed: `takeback-${JSON.stringify(rules)}`,
+            random: createRandom(11),
+            onAction(gameState) {
+                snapshot = takeback.snapshotGame(gameState);
+                before = stored(gameState);
+            },
+            onResult(gameState, action) {
+                const restored = takeback.restoreGame(JSON.parse(JSON.stringify(snapshot)));
+                assert.deepEqual(restored, before);
+
+                // the same move on the restored state ends up in the same place
+                const result = APPLY[action.event](restored, action.player, action.data);
+                assert.notEqual(result.status, 'error');
+                restored.history.forEach((entry, i) => { entry.at = gameState.history[i].at; });
+                assert.deepEqual(restored, stored(gameState));
+                undone++;
+            },
+        });
+        assert.ok(undone > 0);
+    }
+});
+
+test('a takeback needs every voter and fails on the first refusal', () => {
+    const lastMove = { player: 'a', event: 'cardPlayed', snapshot: {} };
+    const request = takeback.openRequest(lastMove, ['b', 'c'], 1000);
+    assert.equal(request.expiresAt, 1000 + takeback.TAKEBACK_SECONDS * 1000);
+
+    assert.equal(takeback.castVote(request, 'b', true), 'pending');
+    assert.equal(takeback.castVote(request, 'b', true), 'pending');
+    assert.equal(takeback.castVote(request, 'c', true), 'accepted');
+
+    const refused = takeback.openRequest(lastMove, ['b', 'c']);
+    assert.equal(takeback.castVote(refused, 'c', false), 'rejected');
+});
@@ -0,0 +1,61 @@
+// timers.js
+// Per-turn time limits. The deadline for the current turn lives in
+// public.turnDeadline, so it reaches clients with every state update and is
+// persisted along with the game; index.js only keeps the setTimeout handles.
+
+const game = require('./game');
+const bots = require('./bots');
+
+/**
+ * Start the clock for whoever the game is waiting on.
+ * Sets and returns public.turnDeadline ({ stage, player, seconds, expiresAt }),
+ * or clears it and returns null when nobody is due or the stage is untimed.
+ */
+function startTurn(gameState, now = Date.now()) {
+    const pub = gameState.public;
+    const player = game.getActivePlayer(gameState);
+    const seconds = pub.rules?.turnSeconds?.[pub.stage] || 0;
+
+    pub.turnDeadline = player && seconds > 0
+        ? { stage: pub.stage, player, seconds, expiresAt: now + seconds * 1000 }
+        : null;
+    return pub.turnDeadline;
+}
+
+/** Milliseconds left on the current turn, or null when there is no clock. */
+function remainingMs(gameState, now = Date.now()) {
+    const deadline = gameState.public.turnDeadline;
+    return deadline ? Math.max(0, deadline.expiresAt - now) : null;
+}
+
+/**
+ * True when `deadline` is still the turn the game is waiting on, i.e. nobody
+ * has acted since it was set.
+ */
+function isCurrent(gameState, deadline) {
+    const pub = gameState.public;
+    return Boolean(deadline) &&
+        pub.turnDeadline === deadline &&
+        pub.stage === deadline.stage &&
+        game.getActivePlayer(gameState) === deadline.player;
+}
+
+/**
+ * The move made for a player who ran out of time, as { event, data }:
+ * a pass in the auction or the doubling round, otherwise whatever the easy
+ * bot would do.
+ */
+function timeoutAction(gameState) {
+    const player = game.getActivePlayer(gameState);
+    if (!player) return null;
+    if (gameState.public.stage === 'auction') return { event: 'bidPlaced', data: 0 };
+    if (gameState.public.stage === 'doubling') return { event: 'doubleCalled', data: 'pass' };
+    return bots.chooseAction(gameState, player, 'easy');
+}
+
+module.exports = {
+    startTurn,
+    remainingMs,
+    isCurrent,
+    timeoutAction,
+};
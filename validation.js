@@ -0,0 +1,428 @@
+// validation.js
+// Checks for everything a client sends. Payload checks look at the shape of
+// a socket event's data; rule checks look at the data against the current
+// game state. Every check returns { ok: true, value } with the normalised
+// value, or { ok: false, code, message } with a code from ERROR_CODES.
+
+const { SUITS, RANKS } = require('./deck');
+const { partnerCount, resolveRules, checkTable } = require('./rules');
+const { MIN_SEATS } = require('./lobby');
+const spectators = require('./spectators');
+const { LANGUAGE_CODES } = require('./messages');
+
+const ERROR_CODES = {
+    INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+    NOT_IN_ROOM: 'NOT_IN_ROOM',
+    UNKNOWN_ROOM: 'UNKNOWN_ROOM',
+    ROOM_BUSY: 'ROOM_BUSY',
+    ROOM_EXISTS: 'ROOM_EXISTS',
+    FORBIDDEN: 'FORBIDDEN',
+    NAME_TAKEN: 'NAME_TAKEN',
+    SEAT_HELD: 'SEAT_HELD',
+    KICKED: 'KICKED',
+    NOT_READY: 'NOT_READY',
+    UNKNOWN_PLAYER: 'UNKNOWN_PLAYER',
+    NOT_IDENTIFIED: 'NOT_IDENTIFIED',
+    INVALID_PLAYER_TOKEN: 'INVALID_PLAYER_TOKEN',
+    NAME_RESERVED: 'NAME_RESERVED',
+    STORAGE_UNAVAILABLE: 'STORAGE_UNAVAILABLE',
+    INVALID_SEAT: 'INVALID_SEAT',
+    INVALID_RULES: 'INVALID_RULES',
+    NOT_HOST: 'NOT_HOST',
+    NOT_A_PLAYER: 'NOT_A_PLAYER',
+    ROOM_FULL: 'ROOM_FULL',
+    UNKNOWN_BOT: 'UNKNOWN_BOT',
+    GAME_IN_PROGRESS: 'GAME_IN_PROGRESS',
+    MATCH_IN_PROGRESS: 'MATCH_IN_PROGRESS',
+    UNKNOWN_GAME: 'UNKNOWN_GAME',
+    INVALID_STEP: 'INVALID_STEP',
+    NO_GAME: 'NO_GAME',
+    WRONG_STAGE: 'WRONG_STAGE',
+    INVALID_ROOM_ID: 'INVALID_ROOM_ID',
+    INVALID_NAME: 'INVALID_NAME',
+    INVALID_MESSAGE: 'INVALID_MESSAGE',
+    INVALID_BID: 'INVALID_BID',
+    INVALID_SUIT: 'INVALID_SUIT',
+    INVALID_CARD: 'INVALID_CARD',
+    NOT_YOUR_TURN: 'NOT_YOUR_TURN',
+    NOT_HIGHEST_BIDDER: 'NOT_HIGHEST_BIDDER',
+    BID_TOO_LOW: 'BID_TOO_LOW',
+    BID_TOO_HIGH: 'BID_TOO_HIGH',
+    BID_INCREMENT: 'BID_INCREMENT',
+    CARD_NOT_IN_DECK: 'CARD_NOT_IN_DECK',
+    CARD_IN_OWN_HAND: 'CARD_IN_OWN_HAND',
+    DUPLICATE_CARD: 'DUPLICATE_CARD',
+    TOO_MANY_PARTNERS: 'TOO_MANY_PARTNERS',
+    CARD_NOT_IN_HAND: 'CARD_NOT_IN_HAND',
+    MUST_FOLLOW_SUIT: 'MUST_FOLLOW_SUIT',
+    INVALID_CALL: 'INVALID_CALL',
+    NOT_A_DEFENDER: 'NOT_A_DEFENDER',
+    HINTS_DISABLED: 'HINTS_DISABLED',
+    BOTS_DISABLED: 'BOTS_DISABLED',
+    RANKED_ROOM: 'RANKED_ROOM',
+    NOTHING_TO_TAKE_BACK: 'NOTHING_TO_TAKE_BACK',
+    TAKEBACK_PENDING: 'TAKEBACK_PENDING',
+    NO_TAKEBACK: 'NO_TAKEBACK',
+    NOT_A_VOTER: 'NOT_A_VOTER',
+    INVALID_LANGUAGE: 'INVALID_LANGUAGE',
+};
+
+const DOUBLE_CALLS = ['double', 'redouble', 'pass'];
+const BOT_DIFFICULTIES = ['easy', 'hard']; // strategies in bots.js
+
+const MAX_NAME_LENGTH = 24;
+const MAX_MESSAGE_LENGTH = 500;
+const MAX_TOKEN_LENGTH = 512;
+const ROOM_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+function ok(value) {
+    return { ok: true, value };
+}
+
+function fail(code, message) {
+    return { ok: false, code, message };
+}
+
+function isPlainObject(v) {
+    return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function sameCard(a, b) {
+    return a.suit === b.suit && a.number === b.number;
+}
+
+// ─── Payload checks ───────────────────────────────────────────────────────
+
+function checkCardShape(card) {
+    if (!isPlainObject(card)) return fail(ERROR_CODES.INVALID_CARD, 'A card must be an object with suit and number');
+    const number = String(card.number);
+    if (!SUITS.includes(card.suit) || !RANKS.includes(number)) {
+        return fail(ERROR_CODES.INVALID_CARD, `${card.number} of ${card.suit} is not a card`);
+    }
+    return ok({ suit: card.suit, number });
+}
+
+const payloadSchemas = {
+    joinRoom(data) {
+        if (!isPlainObject(data)) return fail(ERROR_CODES.INVALID_PAYLOAD, 'Missing roomId or name');
+        const roomId = typeof data.roomId === 'string' ? data.roomId.trim() : '';
+        const name = typeof data.name === 'string' ? data.name.trim() : '';
+        if (!ROOM_ID_PATTERN.test(roomId)) {
+            return fail(ERROR_CODES.INVALID_ROOM_ID, 'Room id must be 1-64 letters, digits, "-" or "_"');
+        }
+        if (!name || name.length > MAX_NAME_LENGTH) {
+            return fail(ERROR_CODES.INVALID_NAME, `Name must be 1-${MAX_NAME_LENGTH} characters`);
+        }
+        if (data.token !== undefined && data.token !== null &&
+            (typeof data.token !== 'string' || data.token.length > MAX_TOKEN_LENGTH)) {
+            return fail(ERROR_CODES.INVALID_PAYLOAD, 'Session token must be a string');
+        }
+        // without a language the socket keeps the one it has (see setLanguage)
+        const language = data.language ?? null;
+        if (language !== null && !LANGUAGE_CODES.includes(language)) {
+            return fail(ERROR_CODES.INVALID_LANGUAGE, `Language must be one of ${LANGUAGE_CODES.join(', ')}`);
+        }
+        return ok({ roomId, name, spectate: data.spectate === true, token: data.token || null, language });
+    },
+
+    // the language game messages are rendered in (see messages.js)
+    setLanguage(data) {
+        if (!LANGUAGE_CODES.includes(data?.language)) {
+            return fail(ERROR_CODES.INVALID_LANGUAGE, `Language must be one of ${LANGUAGE_CODES.join(', ')}`);
+        }
+        return ok({ language: data.language });
+    },
+
+    register(data) {
+        const name = typeof data?.name === 'string' ? data.name.trim() : '';
+        if (!name || name.length > MAX_NAME_LENGTH) {
+            return fail(ERROR_CODES.INVALID_NAME, `Name must be 1-${MAX_NAME_LENGTH} characters`);
+        }
+        return ok({ name });
+    },
+
+    identify(data) {
+        if (typeof data?.token !== 'string' || data.token.length > MAX_TOKEN_LENGTH) {
+            return fail(ERROR_CODES.INVALID_PLAYER_TOKEN, 'Missing player token');
+        }
+        return ok({ token: data.token });
+    },
+
+    userMessage(msg) {
+        const text = typeof msg === 'string' ? msg.trim() : '';
+        if (!text) return fail(ERROR_CODES.INVALID_MESSAGE, 'Message is empty');
+        if (text.length > MAX_MESSAGE_LENGTH) {
+            return fail(ERROR_CODES.INVALID_MESSAGE, `Messages are limited to ${MAX_MESSAGE_LENGTH} characters`);
+        }
+        return ok(text);
+    },
+
+    // a bid is a whole number of points; 0, null or "pass" passes
+    bidPlaced(amount) {
+        if (amount === null || amount === undefined || amount === 0 || amount === 'pass') return ok(0);
+        const n = typeof amount === 'string' && amount.trim() !== '' ? Number(amount) : amount;
+        if (!Number.isInteger(n) || n < 0) return fail(ERROR_CODES.INVALID_BID, 'A bid must be a whole number of points');
+        return ok(n);
+    },
+
+    powerSuitSelected(suit) {
+        if (!SUITS.includes(suit)) return fail(ERROR_CODES.INVALID_SUIT, `Power suit must be one of ${SUITS.join(', ')}`);
+        return ok(suit);
+    },
+
+    partnersSelected(cards) {
+        if (!Array.isArray(cards)) return fail(ERROR_CODES.INVALID_PAYLOAD, 'Partners must be a list of cards');
+        const value = [];
+        for (const card of cards) {
+            const check = checkCardShape(card);
+            if (!check.ok) return check;
+            value.push(check.value);
+        }
+        return ok(value);
+    },
+
+    doubleCalled(call) {
+        if (!DOUBLE_CALLS.includes(call)) {
+            return fail(ERROR_CODES.INVALID_CALL, `Call must be one of ${DOUBLE_CALLS.join(', ')}`);
+        }
+        return ok(call);
+    },
+
+    cardPlayed(card) {
+        return checkCardShape(card);
+    },
+
+    // delaySeconds: null hides hands from spectators
+    spectatorSettings(data) {
+        const delaySeconds = data?.delaySeconds ?? null;
+        if (!spectators.isValidDelay(delaySeconds)) {
+            return fail(ERROR_CODES.INVALID_PAYLOAD,
+                `delaySeconds must be null or ${spectators.MIN_DELAY_SECONDS}-${spectators.MAX_DELAY_SECONDS} seconds`);
+        }
+        return ok({ delaySeconds });
+    },
+
+    assignSeat(data) {
+        if (!isPlainObject(data) || typeof data.name !== 'string') {
+            return fail(ERROR_CODES.INVALID_PAYLOAD, 'Missing player name');
+        }
+        if (!Number.isInteger(data.seat) || data.seat < 0) {
+            return fail(ERROR_CODES.INVALID_SEAT, 'seat must be a seat number starting at 0');
+        }
+        return ok({ name: data.name, seat: data.seat });
+    },
+
+    kickPlayer(data) {
+        if (!isPlainObject(data) || typeof data.name !== 'string') {
+            return fail(ERROR_CODES.INVALID_PAYLOAD, 'Missing player name');
+        }
+        return ok({ name: data.name });
+    },
+
+    lockRoom(data) {
+        if (typeof data?.locked !== 'boolean') return fail(ERROR_CODES.INVALID_PAYLOAD, 'locked must be true or false');
+        return ok({ locked: data.locked });
+    },
+
+    // omitting ready marks the player ready
+    playerReady(data) {
+        const ready = data?.ready ?? true;
+        if (typeof ready !== 'boolean') return fail(ERROR_CODES.INVALID_PAYLOAD, 'ready must be true or false');
+        return ok({ ready });
+    },
+
+    takebackVote(data) {
+        if (typeof data?.accept !== 'boolean') return fail(ERROR_CODES.INVALID_PAYLOAD, 'accept must be true or false');
+        return ok({ accept: data.accept });
+    },
+
+    // without a difficulty the bot is an easy one
+    addBot(data) {
+        const difficulty = data?.difficulty ?? 'easy';
+        if (!BOT_DIFFICULTIES.includes(difficulty)) {
+            return fail(ERROR_CODES.INVALID_PAYLOAD, `Bot difficulty must be one of ${BOT_DIFFICULTIES.join(', ')}`);
+        }
+        return ok({ difficulty });
+    },
+
+    removeBot(data) {
+        if (typeof data?.name !== 'string') return fail(ERROR_CODES.INVALID_PAYLOAD, 'Missing bot name');
+        return ok({ name: data.name });
+    },
+
+    // scoring and the match's end; hands are dealt by the room's rules.
+    // match.js checks the scoring formula and that the match can end.
+    matchStart(data) {
+        const config = data ?? {};
+        if (!isPlainObject(config)) return fail(ERROR_CODES.INVALID_PAYLOAD, 'Match config must be an object');
+        const value = {};
+        if (config.scoring !== undefined) {
+            if (typeof config.scoring !== 'string') return fail(ERROR_CODES.INVALID_PAYLOAD, 'scoring must be a formula name');
+            value.scoring = config.scoring;
+        }
+        for (const key of ['targetScore', 'maxHands']) {
+            if (config[key] === undefined) continue;
+            if (config[key] !== null && !(Number.isInteger(config[key]) && config[key] > 0)) {
+                return fail(ERROR_CODES.INVALID_PAYLOAD, `${key} must be a positive whole number or null`);
+            }
+            value[key] = config[key];
+        }
+        return ok(value);
+    },
+
+    // checked against the smallest table here; lobby.setRules checks the room's
+    roomRules(data) {
+        if (!isPlainObject(data?.rules)) return fail(ERROR_CODES.INVALID_RULES, 'rules must be an object');
+        try {
+            checkTable(resolveRules(data.rules), MIN_SEATS);
+        } catch (err) {
+            return fail(ERROR_CODES.INVALID_RULES, err.message);
+        }
+        return ok({ rules: data.rules });
+    },
+
+    // REST: POST /api/rooms. Without a roomId the server picks one.
+    createRoom(data) {
+        const body = data ?? {};
+        if (!isPlainObject(body)) return fail(ERROR_CODES.INVALID_PAYLOAD, 'Expected a JSON object');
+        const roomId = typeof body.roomId === 'string' ? body.roomId.trim() : body.roomId ?? null;
+        if (roomId !== null && !ROOM_ID_PATTERN.test(roomId)) {
+            return fail(ERROR_CODES.INVALID_ROOM_ID, 'Room id must be 1-64 letters, digits, "-" or "_"');
+        }
+        if (body.rules === undefined) return ok({ roomId, rules: null });
+        const rules = payloadSchemas.roomRules(body);
+        return rules.ok ? ok({ roomId, rules: rules.value.rules }) : rules;
+    },
+
+    // gameNumber defaults to the latest finished game
+    historyRequested(data) {
+        const gameNumber = data?.gameNumber ?? null;
+        if (gameNumber !== null && !(Number.isInteger(gameNumber) && gameNumber > 0)) {
+            return fail(ERROR_CODES.INVALID_PAYLOAD, 'gameNumber must be a positive whole number');
+        }
+        return ok({ gameNumber });
+    },
+
+    replayRequested(data) {
+        const base = payloadSchemas.historyRequested(data);
+        if (!base.ok) return base;
+        const step = data?.step ?? null;
+        if (step !== null && !(Number.isInteger(step) && step >= 0)) {
+            return fail(ERROR_CODES.INVALID_STEP, 'step must be a whole number of moves');
+        }
+        return ok({ ...base.value, step });
+    },
+};
+
+/**
+ * Check the data sent with a socket event.
+ * Events without a schema are passed through unchanged.
+ */
+function validatePayload(event, data) {
+    const schema = payloadSchemas[event];
+    return schema ? schema(data) : ok(data);
+}
+
+// ─── Rule checks ──────────────────────────────────────────────────────────
+
+/** `amount` is a normalised bid (0 = pass). */
+function checkBid(gameState, playerName, amount) {
+    const pub = gameState.public;
+    const currentBidder = pub.bidders[pub.currentBidIndex];
+    if (currentBidder !== playerName) {
+        return fail(ERROR_CODES.NOT_YOUR_TURN, `Not your turn. It's ${currentBidder}'s turn to bid`);
+    }
+    if (amount === 0) return ok(0);
+
+    const step = pub.rules.bidStep;
+    const lowest = pub.highestBid + step;
+    if (amount < lowest) return fail(ERROR_CODES.BID_TOO_LOW, `Bid at least ${lowest} or pass`);
+    if (amount > pub.maximumBid) return fail(ERROR_CODES.BID_TOO_HIGH, `The highest possible bid is ${pub.maximumBid}`);
+    if ((amount - pub.highestBid) % step !== 0) {
+        return fail(ERROR_CODES.BID_INCREMENT, `Bids go up in steps of ${step}`);
+    }
+    return ok(amount);
+}
+
+function checkPowerSuit(gameState, playerName, suit) {
+    if (gameState.public.highestBidder !== playerName) {
+        return fail(ERROR_CODES.NOT_HIGHEST_BIDDER, 'Only the highest bidder picks the power suit');
+    }
+    if (!SUITS.includes(suit)) return fail(ERROR_CODES.INVALID_SUIT, `Power suit must be one of ${SUITS.join(', ')}`);
+    return ok(suit);
+}
+
+function checkPartners(gameState, playerName, cards) {
+    const pub = gameState.public;
+    if (pub.highestBidder !== playerName) {
+        return fail(ERROR_CODES.NOT_HIGHEST_BIDDER, 'Only the highest bidder picks partners');
+    }
+
+    const max = partnerCount(pub.rules, pub.playerCount);
+    if (cards.length > max) return fail(ERROR_CODES.TOO_MANY_PARTNERS, `Pick at most ${max} partner card(s)`);
+
+    const hand = gameState.playerGameStates[playerName]?.hand || [];
+    for (let i = 0; i < cards.length; i++) {
+        const card = cards[i];
+        const label = `${card.number} of ${card.suit}`;
+        if (!pub.defaultDeck.some(c => sameCard(c, card))) {
+            return fail(ERROR_CODES.CARD_NOT_IN_DECK, `${label} is not in this game's deck`);
+        }
+        if (pub.rules.selfCall !== 'allow' && hand.some(c => sameCard(c, card))) {
+            return fail(ERROR_CODES.CARD_IN_OWN_HAND, `You hold the ${label} yourself`);
+        }
+        if (cards.slice(0, i).some(c => sameCard(c, card))) {
+            return fail(ERROR_CODES.DUPLICATE_CARD, `${label} was picked twice`);
+        }
+    }
+    return ok(cards);
+}
+
+/**
+ * Every defender in turn may double; once someone has, only the bidder
+ * acts, and may redouble.
+ */
+function checkDouble(gameState, playerName, call) {
+    const pub = gameState.public;
+    const { order, index, doubledBy } = pub.doubling;
+    const due = doubledBy ? pub.highestBidder : order[index];
+    if (due !== playerName) return fail(ERROR_CODES.NOT_YOUR_TURN, `It's ${due}'s call`);
+
+    if (call === 'double') {
+        if (doubledBy) return fail(ERROR_CODES.INVALID_CALL, 'The bid is already doubled');
+        if (gameState.alpha.has(playerName)) {
+            return fail(ERROR_CODES.NOT_A_DEFENDER, 'Only the defending side can double');
+        }
+    }
+    if (call === 'redouble' && !doubledBy) return fail(ERROR_CODES.INVALID_CALL, 'Nobody has doubled');
+    return ok(call);
+}
+
+function checkPlay(gameState, playerName, card) {
+    const pub = gameState.public;
+    if (pub.players[pub.turnIndex] !== playerName) return fail(ERROR_CODES.NOT_YOUR_TURN, 'Not your turn to play');
+
+    const hand = gameState.playerGameStates[playerName]?.hand || [];
+    if (!hand.some(c => sameCard(c, card))) return fail(ERROR_CODES.CARD_NOT_IN_HAND, 'Card not found in hand');
+
+    // a full round is cleared when the next card is played, so it has no lead
+    if (pub.round.length > 0 && pub.round.length < pub.playerCount) {
+        const leadSuit = pub.round[0].card.suit;
+        if (card.suit !== leadSuit && hand.some(c => c.suit === leadSuit)) {
+            return fail(ERROR_CODES.MUST_FOLLOW_SUIT, `${playerName} must follow suit ${leadSuit}`);
+        }
+    }
+    return ok(card);
+}
+
+module.exports = {
+    ERROR_CODES,
+    DOUBLE_CALLS,
+    BOT_DIFFICULTIES,
+    validatePayload,
+    checkBid,
+    checkPowerSuit,
+    checkPartners,
+    checkDouble,
+    checkPlay,
+};